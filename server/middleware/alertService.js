@@ -1,6 +1,32 @@
-import Alert from '../models/Alert.js';
+import Alert, { alertTypesFor } from '../models/Alert.js';
+import Medicine from '../models/Medicine.js';
+import User from '../models/User.js';
+import { isMailEnabled, queueEmail } from './mailer.js';
+import { alertEmail, digestEmail } from './emailTemplates.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { publishStreamEvent } from './streamService.js';
+import { permissionsForRole } from './auth.js';
 
-export const createAlert = async (type, title, message, entityType, entityId, triggeredBy, severity = 'info') => {
+// Webhook events for condition alerts, sent when the alert opens or escalates
+const CONDITION_EVENTS = {
+  stock_low: 'stock.low',
+  medicine_expiring: 'medicine.expiring',
+  medicine_expired: 'medicine.expired'
+};
+
+const alertPayload = (alert) => ({
+  id: alert._id,
+  type: alert.type,
+  title: alert.title,
+  message: alert.message,
+  severity: alert.severity,
+  entityType: alert.entityType,
+  entityId: alert.entityId,
+  category: alert.category,
+  status: alert.status
+});
+
+export const createAlert = async (type, title, message, entityType, entityId, triggeredBy, severity = 'info', session = null, category = undefined) => {
   try {
     const alert = new Alert({
       type,
@@ -9,16 +35,161 @@ export const createAlert = async (type, title, message, entityType, entityId, tr
       severity,
       entityType,
       entityId,
+      category,
       triggeredBy
     });
 
-    await alert.save();
+    await alert.save({ session });
+    await emailCriticalAlert(alert, session);
+    await emitWebhookEvent('alert.created', alertPayload(alert), session);
+    await publishStreamEvent('alert', alertPayload(alert), session);
     return alert;
   } catch (error) {
+    // Inside a transaction the failure has already aborted it, so the caller must see it
+    if (session) throw error;
     console.error('Failed to create alert:', error);
   }
 };
 
+// The user's subscription, less any alert types their permissions don't allow
+export const effectiveSubscription = (user, permissions) => {
+  const subscription = user.alertSubscription();
+  const allowed = alertTypesFor(permissions);
+  return { ...subscription, types: subscription.types.filter(type => allowed.includes(type)) };
+};
+
+// Alert filter matching what the user is subscribed to
+export const subscriptionFilter = (user, permissions) => {
+  const { types, severities, categories } = effectiveSubscription(user, permissions);
+  const filter = { type: { $in: types }, severity: { $in: severities } };
+
+  if (categories.length) {
+    filter.$or = [{ entityType: { $ne: 'Medicine' } }, { category: { $in: categories } }];
+  }
+  return filter;
+};
+
+export const isSubscribed = (user, alert, permissions) => {
+  const { types, severities, categories } = effectiveSubscription(user, permissions);
+
+  return types.includes(alert.type) &&
+    severities.includes(alert.severity) &&
+    (!categories.length || alert.entityType !== 'Medicine' || categories.includes(alert.category));
+};
+
+// Permissions of each user's role, looked up once per role
+const rolePermissionLookup = () => {
+  const byRole = new Map();
+  return (role) => {
+    if (!byRole.has(role)) byRole.set(role, permissionsForRole(role));
+    return byRole.get(role);
+  };
+};
+
+// The users among candidates who are subscribed to alert and allowed to see it
+export const subscribedUsers = async (candidates, alert) => {
+  const permissionsOf = rolePermissionLookup();
+  const subscribed = [];
+  for (const user of candidates) {
+    if (isSubscribed(user, alert, await permissionsOf(user.role))) subscribed.push(user);
+  }
+  return subscribed;
+};
+
+// Danger alerts are mailed straight away to everyone subscribed to them
+const emailCriticalAlert = async (alert, session = null) => {
+  if (!isMailEnabled() || alert.severity !== 'danger') return;
+
+  const users = await User.find({ isActive: true, 'alertPreferences.emailCritical': { $ne: false } }, 'name email role alertPreferences');
+  const content = alertEmail(alert);
+
+  for (const user of await subscribedUsers(users, alert)) {
+    await queueEmail({ ...content, to: user.email, kind: 'alert', alertId: alert._id, userId: user._id }, session);
+  }
+};
+
+const SEVERITY_RANK = { success: 0, info: 1, warning: 2, danger: 3 };
+const RESOLVED_ALERT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Keys for alerts that describe a condition rather than an event
+const CONDITION_KEYS = {
+  low_stock: (medicineId) => `stock_low:${medicineId}`,
+  expiring: (medicineId, info) => `expiry:${medicineId}:${info.batchId}`,
+  expired: (medicineId, info) => `expiry:${medicineId}:${info.batchId}`
+};
+
+// Open the alert for a condition, or refresh the one already open under the same key.
+// Type, text and severity follow the latest check; a rise in severity marks it unread again.
+export const raiseConditionAlert = async (dedupeKey, alertData, entityType, entityId, triggeredBy, session = null) => {
+  try {
+    const existing = await Alert.findOne({ dedupeKey, status: 'open' }).session(session);
+
+    if (!existing) {
+      const alert = new Alert({
+        ...alertData,
+        entityType,
+        entityId,
+        triggeredBy,
+        dedupeKey,
+        status: 'open',
+        expiresAt: null
+      });
+      await alert.save({ session });
+      await emailCriticalAlert(alert, session);
+      await emitWebhookEvent('alert.created', alertPayload(alert), session);
+      await emitWebhookEvent(CONDITION_EVENTS[alert.type], alertPayload(alert), session);
+      await publishStreamEvent('alert', alertPayload(alert), session);
+      return alert;
+    }
+
+    const escalated = SEVERITY_RANK[alertData.severity] > SEVERITY_RANK[existing.severity];
+    if (escalated) {
+      // Surface it again for everyone
+      existing.escalatedAt = new Date();
+      existing.readBy = [];
+      existing.acknowledgements = [];
+    }
+    Object.assign(existing, alertData);
+    existing.occurrences += 1;
+    existing.lastTriggeredAt = new Date();
+    existing.isActive = true;
+
+    await existing.save({ session });
+    if (escalated) {
+      await emailCriticalAlert(existing, session);
+      await emitWebhookEvent(CONDITION_EVENTS[existing.type], alertPayload(existing), session);
+      await publishStreamEvent('alert', alertPayload(existing), session);
+    }
+    return existing;
+  } catch (error) {
+    if (session) throw error;
+    console.error('Failed to raise alert:', error);
+  }
+};
+
+// Close open condition alerts matching filter; resolved alerts expire like any other
+export const resolveConditionAlerts = async (filter, resolution, resolvedBy = null, session = null) => {
+  try {
+    const now = new Date();
+    await Alert.updateMany(
+      { ...filter, status: 'open' },
+      {
+        $set: {
+          status: 'resolved',
+          resolvedAt: now,
+          resolvedBy,
+          resolution,
+          expiresAt: new Date(now.getTime() + RESOLVED_ALERT_TTL_MS)
+        }
+      },
+      { session }
+    );
+  } catch (error) {
+    if (session) throw error;
+    console.error('Failed to resolve alerts:', error);
+  }
+};
+
 export const createUserAlert = async (action, userName, userId, triggeredBy) => {
   const alerts = {
     added: {
@@ -55,7 +226,11 @@ export const createUserAlert = async (action, userName, userId, triggeredBy) =>
   }
 };
 
-export const createMedicineAlert = async (action, medicineName, medicineId, triggeredBy, additionalInfo = {}) => {
+export const createMedicineAlert = async (action, medicineName, medicineId, triggeredBy, additionalInfo = {}, session = null) => {
+  const medicine = await Medicine.findById(medicineId, 'category').session(session);
+  const category = medicine?.category;
+  const batchLabel = additionalInfo.batchNumber ? ` (batch ${additionalInfo.batchNumber})` : '';
+
   const alerts = {
     added: {
       type: 'medicine_added',
@@ -66,25 +241,25 @@ export const createMedicineAlert = async (action, medicineName, medicineId, trig
     stock_entry: {
       type: 'stock_entry',
       title: 'Stock Entry Recorded',
-      message: `Stock entry for "${medicineName}" has been recorded. New quantity: ${additionalInfo.quantity || 'N/A'}`,
+      message: `Stock entry for "${medicineName}"${batchLabel} has been recorded. New quantity: ${additionalInfo.quantity || 'N/A'}`,
       severity: 'info'
     },
     low_stock: {
       type: 'stock_low',
-      title: 'Low Stock Alert',
+      title: additionalInfo.quantity > 0 ? 'Low Stock Alert' : 'Out of Stock',
       message: `"${medicineName}" is running low. Current stock: ${additionalInfo.quantity || 0}`,
-      severity: 'warning'
+      severity: additionalInfo.quantity > 0 ? 'warning' : 'danger'
     },
     expiring: {
       type: 'medicine_expiring',
       title: 'Medicine Expiring Soon',
-      message: `"${medicineName}" will expire on ${additionalInfo.expiryDate || 'N/A'}`,
+      message: `"${medicineName}"${batchLabel} will expire on ${additionalInfo.expiryDate || 'N/A'}`,
       severity: 'warning'
     },
     expired: {
       type: 'medicine_expired',
       title: 'Medicine Expired',
-      message: `"${medicineName}" has expired and should be removed from inventory`,
+      message: `"${medicineName}"${batchLabel} has expired and should be removed from inventory`,
       severity: 'danger'
     },
     issued: {
@@ -92,10 +267,27 @@ export const createMedicineAlert = async (action, medicineName, medicineId, trig
       title: 'Medicine Issued',
       message: `${additionalInfo.quantity || 0} units of "${medicineName}" issued to ${additionalInfo.recipient || 'N/A'}`,
       severity: 'info'
+    },
+    returned: {
+      type: 'medicine_returned',
+      title: 'Medicine Returned',
+      message: `${additionalInfo.quantity || 0} units of "${medicineName}" returned to stock from ${additionalInfo.recipient || 'N/A'}`,
+      severity: 'info'
+    },
+    adjusted: {
+      type: 'stock_adjusted',
+      title: additionalInfo.status === 'pending' ? 'Stock Adjustment Awaiting Approval' : 'Stock Adjusted',
+      message: `Stock of "${medicineName}"${batchLabel} adjusted by ${additionalInfo.quantity || 0} units (${additionalInfo.reason || 'N/A'})`,
+      severity: additionalInfo.quantity < 0 ? 'warning' : 'info'
     }
   };
 
   const alertData = alerts[action];
+  const conditionKey = alertData && CONDITION_KEYS[action]?.(medicineId, additionalInfo);
+  if (conditionKey) {
+    return await raiseConditionAlert(conditionKey, { ...alertData, category, batchId: additionalInfo.batchId }, 'Medicine', medicineId, triggeredBy, session);
+  }
+
   if (alertData) {
     return await createAlert(
       alertData.type,
@@ -104,33 +296,120 @@ export const createMedicineAlert = async (action, medicineName, medicineId, trig
       'Medicine',
       medicineId,
       triggeredBy,
-      alertData.severity
+      alertData.severity,
+      session,
+      category
     );
   }
 };
 
-export const checkAndCreateStockAlerts = async (medicine, triggeredBy) => {
+// Raises or refreshes the medicine's condition alerts and resolves those whose condition has cleared.
+// Returns how many alerts of each kind are open after the check.
+export const checkAndCreateStockAlerts = async (medicine, triggeredBy, session = null) => {
+  const raised = { lowStock: 0, expiring: 0, expired: 0 };
+
   // Check for low stock
   if (medicine.quantity <= medicine.minQuantity) {
+    raised.lowStock++;
     await createMedicineAlert('low_stock', medicine.name, medicine._id, triggeredBy, {
       quantity: medicine.quantity
-    });
+    }, session);
+  } else {
+    await resolveConditionAlerts({ dedupeKey: CONDITION_KEYS.low_stock(medicine._id) }, 'Stock back above minimum', triggeredBy, session);
   }
 
-  // Check for expiring medicines (within 30 days)
+  // Check each lot for expiry (within 30 days, or already expired)
+  const now = new Date();
   const thirtyDaysFromNow = new Date();
   thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-  
-  if (medicine.expiryDate <= thirtyDaysFromNow && medicine.expiryDate > new Date()) {
-    await createMedicineAlert('expiring', medicine.name, medicine._id, triggeredBy, {
-      expiryDate: medicine.expiryDate.toDateString()
-    });
+
+  const expiryKeys = [];
+  for (const batch of medicine.stockedBatches()) {
+    const batchInfo = {
+      batchId: batch._id,
+      expiryDate: batch.expiryDate.toDateString(),
+      batchNumber: batch.batchNumber,
+      quantity: batch.quantity
+    };
+    if (batch.expiryDate <= thirtyDaysFromNow) {
+      expiryKeys.push(CONDITION_KEYS.expiring(medicine._id, batchInfo));
+    }
+
+    if (batch.expiryDate <= thirtyDaysFromNow && batch.expiryDate > now) {
+      await createMedicineAlert('expiring', medicine.name, medicine._id, triggeredBy, batchInfo, session);
+      raised.expiring++;
+    }
+
+    if (batch.expiryDate <= now) {
+      await createMedicineAlert('expired', medicine.name, medicine._id, triggeredBy, batchInfo, session);
+      raised.expired++;
+    }
   }
 
-  // Check for expired medicines
-  if (medicine.expiryDate <= new Date()) {
-    await createMedicineAlert('expired', medicine.name, medicine._id, triggeredBy, {
-      expiryDate: medicine.expiryDate.toDateString()
-    });
+  // Lots that were used up, written off or re-dated no longer need attention
+  await resolveConditionAlerts({
+    entityId: medicine._id,
+    type: { $in: ['medicine_expiring', 'medicine_expired'] },
+    dedupeKey: { $nin: expiryKeys }
+  }, 'Batch no longer at risk', triggeredBy, session);
+
+  return raised;
+};
+
+export const STOCK_ALERT_SCAN_JOB = 'stock-alert-scan';
+
+// Expiry and low-stock checks across every active medicine, so stock nobody touches still raises alerts.
+// triggeredBy is empty for scheduled runs.
+export const runStockAlertScan = async (triggeredBy = null) => {
+  const result = { medicinesScanned: 0, lowStock: 0, expiring: 0, expired: 0 };
+
+  const cursor = Medicine.find({ isActive: true }).cursor();
+  for await (const medicine of cursor) {
+    // Persist lazily seeded lots so expiry alerts keep the same batch key between scans
+    if (medicine.ensureBatches()) await medicine.save();
+    const raised = await checkAndCreateStockAlerts(medicine, triggeredBy);
+    result.medicinesScanned++;
+    result.lowStock += raised.lowStock;
+    result.expiring += raised.expiring;
+    result.expired += raised.expired;
   }
-};
\ No newline at end of file
+
+  return result;
+};
+export const ALERT_DIGEST_JOB = 'alert-digest';
+
+const DIGEST_SECTIONS = [
+  { title: 'Expired', type: 'medicine_expired' },
+  { title: 'Expiring soon', type: 'medicine_expiring' },
+  { title: 'Low stock', type: 'stock_low' }
+];
+
+// Queue one digest per user listing the open stock alerts they are subscribed to
+export const sendAlertDigests = async () => {
+  const result = { openAlerts: 0, recipients: 0 };
+  if (!isMailEnabled()) return result;
+
+  const openAlerts = await Alert.find({
+    isActive: true,
+    status: 'open',
+    type: { $in: DIGEST_SECTIONS.map(section => section.type) }
+  }).sort({ lastTriggeredAt: -1 });
+  result.openAlerts = openAlerts.length;
+
+  const users = await User.find({ isActive: true, 'alertPreferences.emailDigest': { $ne: false } }, 'name email role alertPreferences');
+  const permissionsOf = rolePermissionLookup();
+  for (const user of users) {
+    const permissions = await permissionsOf(user.role);
+    const subscribed = openAlerts.filter(alert => isSubscribed(user, alert, permissions));
+    if (!subscribed.length) continue;
+
+    const content = digestEmail(user.name, DIGEST_SECTIONS.map(section => ({
+      title: section.title,
+      alerts: subscribed.filter(alert => alert.type === section.type)
+    })));
+    await queueEmail({ ...content, to: user.email, kind: 'digest', userId: user._id });
+    result.recipients++;
+  }
+
+  return result;
+};
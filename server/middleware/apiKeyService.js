@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import { hashToken } from './tokenService.js';
+
+export const API_KEY_PREFIX = 'apms_';
+export const API_KEY_MAX_DAYS = parseInt(process.env.API_KEY_MAX_DAYS) || 365;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// Create a key and return it with the raw value, which is only available now
+export const createApiKey = async ({ name, scopes, ownerId, expiresAt, createdBy }) => {
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: rawKey.slice(0, API_KEY_PREFIX.length + 8),
+    keyHash: hashToken(rawKey),
+    scopes: [...new Set(scopes)],
+    ownerId,
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Usable key for a raw value, with last-used recorded; null if unknown, expired or revoked
+export const verifyApiKey = async (rawKey, ipAddress) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS || apiKey.lastUsedIp !== ipAddress) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } });
+  }
+  return apiKey;
+};
@@ -1,5 +1,12 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Role, { BUILT_IN_ROLES } from '../models/Role.js';
+import { needsTwoFactorEnrolment } from './twoFactor.js';
+import { touchSession } from './tokenService.js';
+import { isApiKey, verifyApiKey } from './apiKeyService.js';
+
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/change-password', '/api/auth/logout', '/api/auth/me'];
+const TWO_FACTOR_ENROLMENT_ROUTES = ['/api/auth/2fa/setup', '/api/auth/2fa/enable', '/api/auth/logout', '/api/auth/me'];
 
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -11,13 +18,37 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // 2FA challenge tokens are not access tokens
+    if (decoded.purpose) {
+      return res.status(403).json({ message: 'Invalid token' });
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Invalid token or user inactive' });
     }
 
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Token revoked' });
+    }
+
+    // Tokens issued before sessions were tracked carry no sid
+    if (decoded.sid && !(await touchSession(decoded.sid, req))) {
+      return res.status(401).json({ message: 'Session revoked' });
+    }
+
+    // Until a forced password change or required 2FA enrolment is done, only the routes needed to do it are open
+    const path = req.originalUrl.split('?')[0];
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(path)) {
+      return res.status(403).json({ message: 'Password change required', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+    if (needsTwoFactorEnrolment(user) && !TWO_FACTOR_ENROLMENT_ROUTES.includes(path)) {
+      return res.status(403).json({ message: 'Two-factor enrolment required', code: 'TWO_FACTOR_ENROLMENT_REQUIRED' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -30,13 +61,85 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
-export const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+// For routes integrations may call: accepts an API key (X-API-Key header, or as the bearer token)
+// as well as a user's access token. Key requests act as the key's owner, limited to the key's scopes.
+export const authenticateTokenOrApiKey = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const bearer = authHeader && authHeader.split(' ')[1];
+  const rawKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+  if (!rawKey) return authenticateToken(req, res, next);
+
+  try {
+    const apiKey = await verifyApiKey(rawKey, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Invalid, expired or revoked API key' });
     }
+
+    const owner = await User.findById(apiKey.ownerId);
+    if (!owner || !owner.isActive) {
+      return res.status(401).json({ message: 'API key owner is inactive' });
+    }
+
+    // A key never grants more than its owner currently has
+    const ownerPermissions = await permissionsForRole(owner.role);
+    req.user = owner;
+    req.apiKey = apiKey;
+    req.permissions = apiKey.scopes.filter(scope => ownerPermissions.includes(scope));
     next();
+  } catch (error) {
+    return res.status(500).json({ message: 'API key verification failed' });
+  }
+};
+
+// EventSource can't send headers, so streaming endpoints also accept ?access_token=
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Permissions granted by a built-in or custom role; unknown roles get none
+export const permissionsForRole = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) return BUILT_IN_ROLES[roleName].permissions;
+
+  const role = await Role.findOne({ name: roleName }, 'permissions');
+  return role ? role.permissions : [];
+};
+
+// Resolved once per request and kept on req.permissions
+export const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await permissionsForRole(req.user.role);
+  }
+  return req.permissions;
+};
+
+export const hasPermission = async (req, permission) => (await getPermissions(req)).includes(permission);
+
+// Users can only hand out (or manage holders of) roles whose permissions they hold themselves
+export const canGrantRole = async (req, roleName) => {
+  const granted = await getPermissions(req);
+  return (await permissionsForRole(roleName)).every(permission => granted.includes(permission));
+};
+
+// Passes when the user's role is listed, or (with permissions) when the role grants any of them
+export const requireRole = (roles, permissions = []) => {
+  return async (req, res, next) => {
+    try {
+      if (roles.includes(req.user.role)) return next();
+
+      const granted = await getPermissions(req);
+      if (!permissions.some(permission => granted.includes(permission))) {
+        return res.status(403).json({ message: 'Insufficient permissions', required: permissions });
+      }
+      next();
+    } catch (error) {
+      return res.status(500).json({ message: 'Permission check failed' });
+    }
   };
 };
 
-export const requireAdmin = requireRole(['Admin']);
\ No newline at end of file
+export const requirePermission = (...permissions) => requireRole([], permissions);
+
+export const requireAdmin = requireRole(['Admin']);
@@ -0,0 +1,126 @@
+// HTML and plain-text bodies for notification emails
+
+const SEVERITY_COLORS = {
+  danger: '#c0392b',
+  warning: '#d68910',
+  info: '#2874a6',
+  success: '#1e8449'
+};
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const appLink = (path) => process.env.APP_URL ? `${process.env.APP_URL.replace(/\/$/, '')}${path}` : null;
+
+const ALERT_FOOTER = 'You receive this because of your APMS alert preferences.';
+
+const layout = (heading, content, footer = ALERT_FOOTER) => {
+  const link = appLink('/alerts');
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#222">
+    <div style="max-width:600px;margin:0 auto;background:#fff;border-radius:6px;padding:24px">
+      <h2 style="margin-top:0">${escapeHtml(heading)}</h2>
+      ${content}
+      ${link ? `<p><a href="${escapeHtml(link)}">Open APMS</a></p>` : ''}
+      <p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>
+    </div>
+  </body>
+</html>`;
+};
+
+export const alertEmail = (alert) => {
+  const color = SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info;
+  const raisedAt = (alert.lastTriggeredAt || alert.createdAt || new Date()).toLocaleString();
+
+  return {
+    subject: `[APMS ${alert.severity.toUpperCase()}] ${alert.title}`,
+    html: layout(alert.title, `
+      <p style="border-left:4px solid ${color};padding-left:12px">${escapeHtml(alert.message)}</p>
+      <p style="color:#555;font-size:13px">Raised ${escapeHtml(raisedAt)}${alert.category ? ` &middot; ${escapeHtml(alert.category)}` : ''}</p>
+      ${alert.severity === 'danger' ? '<p>This alert must be acknowledged in APMS.</p>' : ''}`),
+    text: [
+      alert.title,
+      '',
+      alert.message,
+      '',
+      `Severity: ${alert.severity}`,
+      `Raised: ${raisedAt}`,
+      alert.severity === 'danger' ? 'This alert must be acknowledged in APMS.' : null,
+      appLink('/alerts')
+    ].filter(line => line !== null).join('\n')
+  };
+};
+
+export const passwordResetEmail = (userName, link, token, expiresMinutes) => ({
+  subject: 'Reset your APMS password',
+  html: layout('Password reset', `
+      <p>Hello ${escapeHtml(userName)}, a password reset was requested for your APMS account.</p>
+      ${link
+        ? `<p><a href="${escapeHtml(link)}">Choose a new password</a></p>`
+        : `<p>Your reset code: <code>${escapeHtml(token)}</code></p>`}
+      <p>This link expires in ${expiresMinutes} minutes and works once. If you didn't ask for it, ignore this email.</p>`,
+    'This is an account security email from APMS.'),
+  text: [
+    `Hello ${userName}, a password reset was requested for your APMS account.`,
+    '',
+    link ? `Choose a new password: ${link}` : `Your reset code: ${token}`,
+    '',
+    `This link expires in ${expiresMinutes} minutes and works once. If you didn't ask for it, ignore this email.`
+  ].join('\n')
+});
+
+export const invitationEmail = (inviterName, role, link, token, expiresHours) => ({
+  subject: 'You have been invited to APMS',
+  html: layout('Invitation', `
+      <p>${escapeHtml(inviterName)} has invited you to APMS as ${escapeHtml(role)}.</p>
+      ${link
+        ? `<p><a href="${escapeHtml(link)}">Accept the invitation and set your password</a></p>`
+        : `<p>Your invitation code: <code>${escapeHtml(token)}</code></p>`}
+      <p>This invitation expires in ${expiresHours} hours and works once.</p>`,
+    'This is an account email from APMS.'),
+  text: [
+    `${inviterName} has invited you to APMS as ${role}.`,
+    '',
+    link ? `Accept the invitation and set your password: ${link}` : `Your invitation code: ${token}`,
+    '',
+    `This invitation expires in ${expiresHours} hours and works once.`
+  ].join('\n')
+});
+
+// sections: [{ title, alerts }], empty sections are left out
+export const digestEmail = (userName, sections) => {
+  const filled = sections.filter(section => section.alerts.length);
+  const total = filled.reduce((sum, section) => sum + section.alerts.length, 0);
+  const date = new Date().toDateString();
+
+  const htmlSections = filled.map(section => `
+      <h3>${escapeHtml(section.title)} (${section.alerts.length})</h3>
+      <ul>
+        ${section.alerts.map(alert => `<li>${escapeHtml(alert.message)}</li>`).join('\n        ')}
+      </ul>`).join('');
+
+  const textSections = filled.map(section => [
+    `${section.title} (${section.alerts.length})`,
+    ...section.alerts.map(alert => `- ${alert.message}`)
+  ].join('\n'));
+
+  return {
+    subject: `APMS daily digest for ${date}: ${total} open alert${total === 1 ? '' : 's'}`,
+    html: layout(`Daily digest for ${date}`, `
+      <p>Hello ${escapeHtml(userName)}, these stock alerts are still open.</p>${htmlSections}`),
+    text: [
+      `APMS daily digest for ${date}`,
+      '',
+      `Hello ${userName}, these stock alerts are still open.`,
+      '',
+      textSections.join('\n\n'),
+      appLink('/alerts')
+    ].filter(line => line !== null).join('\n')
+  };
+};
@@ -0,0 +1,41 @@
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import { hashToken } from './tokenService.js';
+import { isMailEnabled, queueEmail } from './mailer.js';
+import { invitationEmail } from './emailTemplates.js';
+
+export const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+export const inviteLink = (token) => process.env.APP_URL
+  ? `${process.env.APP_URL.replace(/\/$/, '')}/accept-invitation?token=${token}`
+  : null;
+
+// Give the invitation a fresh token and expiry, and email it when mail is set up. Returns the raw token.
+export const issueInvitationToken = async (invitation, inviterName) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+  await invitation.save();
+
+  if (isMailEnabled()) {
+    const content = invitationEmail(inviterName, invitation.role, inviteLink(token), token, INVITATION_TTL_HOURS);
+    await queueEmail({ ...content, to: invitation.email, kind: 'invitation' });
+  }
+
+  return token;
+};
+
+// Pending invitation for a raw token; null if it is unknown, expired, revoked or already accepted
+export const findPendingInvitation = (token) => Invitation.findOne({
+  tokenHash: hashToken(token),
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Claim the invitation so it can only be used once; null if someone got there first
+export const acceptInvitation = (invitation, session = null) => Invitation.findOneAndUpdate(
+  { _id: invitation._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+  { $set: { acceptedAt: new Date() } },
+  { new: true, session }
+);
@@ -1,12 +1,13 @@
 import ActivityLog from '../models/ActivityLog.js';
 
-export const logActivity = async (actionType, entityType, entityId, performedBy, description, oldData = null, newData = null, req = null) => {
+export const logActivity = async (actionType, entityType, entityId, performedBy, description, oldData = null, newData = null, req = null, session = null) => {
   try {
     const logEntry = new ActivityLog({
       actionType,
       entityType,
       entityId,
       performedBy,
+      apiKeyId: req?.apiKey?._id,
       description,
       oldData,
       newData,
@@ -14,8 +15,10 @@ export const logActivity = async (actionType, entityType, entityId, performedBy,
       userAgent: req?.get('User-Agent')
     });
 
-    await logEntry.save();
+    await logEntry.save({ session });
   } catch (error) {
+    // A failed write aborts the caller's transaction, so don't let it commit without its audit entry
+    if (session) throw error;
     console.error('Failed to log activity:', error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,124 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+
+const WINDOW_MS = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const EMAIL_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+// Failures allowed before each further attempt has to wait (1s, 2s, 4s... up to MAX_DELAY_MS)
+const FREE_FAILURES = 2;
+const MAX_DELAY_MS = 30 * 1000;
+// One IP failing against this many different accounts looks like credential stuffing
+const SUSPICIOUS_EMAIL_COUNT = 5;
+const TRACKED_EMAILS_LIMIT = 50;
+
+const emailKey = (email) => `email:${email}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delayFor = (failures) => failures <= FREE_FAILURES ? 0 : Math.min(1000 * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS);
+
+// Seconds the caller must wait before trying again, or 0
+const waitFor = (throttle, now) => {
+  if (!throttle) return { seconds: 0 };
+  if (throttle.lockedUntil > now) {
+    return { seconds: Math.ceil((throttle.lockedUntil - now) / 1000), locked: true };
+  }
+  const nextAllowed = throttle.lastFailureAt ? throttle.lastFailureAt.getTime() + delayFor(throttle.failures) : 0;
+  return { seconds: Math.max(Math.ceil((nextAllowed - now) / 1000), 0) };
+};
+
+export const checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const throttles = await LoginThrottle.find({ key: { $in: [emailKey(email), ipKey(ip)] } });
+
+  const waits = throttles.map(throttle => ({ ...waitFor(throttle, now), kind: throttle.kind }));
+  const longest = waits.sort((a, b) => b.seconds - a.seconds)[0];
+
+  if (!longest || longest.seconds === 0) return { allowed: true };
+  return { allowed: false, retryAfter: longest.seconds, locked: Boolean(longest.locked), kind: longest.kind };
+};
+
+const notLocked = (now) => [{ lockedUntil: null }, { lockedUntil: { $lte: now } }];
+
+// Every step is a single atomic update, so parallel failures (the brute-force case) are all counted
+const bump = async (key, kind, max, now, email = null) => {
+  // Start a fresh window once the last one has passed and any lock has run out. The filter on the old
+  // firstFailureAt means only one of several parallel failures does the reset.
+  await LoginThrottle.updateOne(
+    { key, firstFailureAt: { $lt: new Date(now.getTime() - WINDOW_MS) }, $or: notLocked(now) },
+    { $set: { failures: 0, firstFailureAt: now, ...(kind === 'ip' && { emails: [] }) }, $unset: { lockedUntil: 1 } }
+  );
+
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_MS + LOCKOUT_MS) },
+      $setOnInsert: { kind, firstFailureAt: now, ...(kind === 'ip' && { emails: [] }) }
+    },
+    { upsert: true, new: true }
+  );
+  // Parallel first failures for a new key can both try the insert
+  let throttle = await increment().catch((error) => {
+    if (error.code === 11000) return increment();
+    throw error;
+  });
+
+  // Only the failure that adds the email sees the list reach the suspicious size
+  let emailsReached = null;
+  if (email) {
+    const tracked = await LoginThrottle.findOneAndUpdate(
+      { key, emails: { $ne: email }, [`emails.${TRACKED_EMAILS_LIMIT - 1}`]: { $exists: false } },
+      { $push: { emails: email } },
+      { new: true }
+    );
+    if (tracked) {
+      throttle = tracked;
+      emailsReached = tracked.emails.length;
+    }
+  }
+
+  // Lock from the returned count; the guard lets just one parallel failure start the lockout
+  let newlyLocked = false;
+  if (throttle.failures >= max && !(throttle.lockedUntil > now)) {
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { key, $or: notLocked(now) },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCKOUT_MS) } },
+      { new: true }
+    );
+    if (locked) {
+      throttle = locked;
+      newlyLocked = true;
+    }
+  }
+
+  return { throttle, newlyLocked, emailsReached };
+};
+
+// Count a failed login against the email and the IP. Reports a lockout that starts now and
+// whether the IP has crossed the credential-stuffing threshold.
+export const recordLoginFailure = async (email, ip) => {
+  const now = new Date();
+  const byEmail = await bump(emailKey(email), 'email', EMAIL_MAX_FAILURES, now);
+  const byIp = await bump(ipKey(ip), 'ip', IP_MAX_FAILURES, now, email);
+
+  return {
+    failures: byEmail.throttle.failures,
+    accountLocked: byEmail.newlyLocked,
+    lockedUntil: byEmail.throttle.lockedUntil,
+    ipThrottle: byIp.throttle,
+    ipSuspicious: byIp.newlyLocked || byIp.emailsReached === SUSPICIOUS_EMAIL_COUNT
+  };
+};
+
+// Successful login or admin unlock. The IP counter is left alone so a valid login can't reset an attack.
+export const clearLoginFailures = (email) => LoginThrottle.deleteOne({ key: emailKey(email) });
+
+export const getLoginLock = async (email) => {
+  const throttle = await LoginThrottle.findOne({ key: emailKey(email) });
+  const now = new Date();
+
+  return {
+    failures: throttle && now - throttle.firstFailureAt <= WINDOW_MS ? throttle.failures : 0,
+    lockedUntil: throttle?.lockedUntil > now ? throttle.lockedUntil : null
+  };
+};
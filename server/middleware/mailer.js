@@ -0,0 +1,101 @@
+import nodemailer from 'nodemailer';
+import EmailOutbox from '../models/EmailOutbox.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 60 * 1000;
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let transporter = null;
+
+// Mail is off unless SMTP_HOST is set. For local testing point it at MailHog: SMTP_HOST=localhost SMTP_PORT=1025
+export const isMailEnabled = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+// Store a message for the outbox worker. Pass the session when queueing inside a transaction
+// so the message is dropped if the transaction aborts.
+export const queueEmail = async ({ to, subject, html, text, kind, alertId, userId }, session = null) => {
+  if (!isMailEnabled()) return null;
+
+  try {
+    const [email] = await EmailOutbox.create([{ to, subject, html, text, kind, alertId, userId }], { session });
+    if (!session) setImmediate(() => processOutbox().catch(error => console.error('Outbox error:', error)));
+    return email;
+  } catch (error) {
+    // Part of the caller's transaction, which this failure has aborted
+    if (session) throw error;
+    console.error('Failed to queue email:', error);
+  }
+};
+
+// Claim the next due message so two instances never send the same one
+const claimNext = (now) => EmailOutbox.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  },
+  { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LEASE_MS) }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Send due messages; failures are retried with exponential backoff until MAIL_MAX_ATTEMPTS
+export const processOutbox = async () => {
+  if (!isMailEnabled()) return { sent: 0, failed: 0 };
+
+  const result = { sent: 0, failed: 0 };
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const email = await claimNext(new Date());
+    if (!email) break;
+
+    try {
+      const info = await getTransporter().sendMail({
+        from: process.env.MAIL_FROM || 'APMS <no-reply@apms.local>',
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text
+      });
+
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.messageId = info.messageId;
+      email.lastError = undefined;
+      result.sent++;
+    } catch (error) {
+      email.status = email.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      email.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (email.attempts - 1));
+      email.lastError = error.message;
+      result.failed++;
+    }
+
+    email.lockedUntil = undefined;
+    await email.save();
+  }
+
+  return result;
+};
+
+export const startOutboxWorker = (intervalMs = 60 * 1000) => {
+  if (!isMailEnabled()) return null;
+
+  const timer = setInterval(() => {
+    processOutbox().catch(error => console.error('Outbox error:', error));
+  }, intervalMs);
+  timer.unref();
+
+  console.log(`Email outbox worker sending through ${process.env.SMTP_HOST}`);
+  return timer;
+};
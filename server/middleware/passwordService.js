@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { hashToken } from './tokenService.js';
+
+export const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+export const resetLink = (token) => process.env.APP_URL
+  ? `${process.env.APP_URL.replace(/\/$/, '')}/reset-password?token=${token}`
+  : null;
+
+// Issue a reset token, replacing any the user still has outstanding. Returns the raw token.
+export const createPasswordResetToken = async (user, { requestedBy = null, ipAddress = null } = {}) => {
+  await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedBy,
+    ipAddress
+  });
+
+  return token;
+};
+
+// Mark a reset token used; null if it is unknown, expired or already used
+export const consumePasswordResetToken = (token) => PasswordResetToken.findOneAndUpdate(
+  { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+// Set a new password and invalidate every token issued under the old one
+export const setPassword = (user, password) => {
+  user.password = password;
+  user.passwordChangedAt = new Date();
+  user.mustChangePassword = false;
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+};
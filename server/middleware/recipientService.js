@@ -0,0 +1,47 @@
+import Recipient, { normalizeRecipientId } from '../models/Recipient.js';
+import { StockError } from './stockService.js';
+
+const sameName = (a = '', b = '') => a.trim().toLowerCase().replace(/\s+/g, ' ') === b.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Recipient for an issuance: the one picked by recipientId, or else the registry entry with the typed
+// recipientID (added to the registry the first time that ID is seen). A typed type or name that differs
+// from the registry entry is refused rather than filed under someone else.
+export const resolveRecipient = async ({ recipientId, issuedTo, recipientName, recipientID }, userId, session = null) => {
+  if (recipientId) {
+    const recipient = await Recipient.findOne({ _id: recipientId, isActive: true }).session(session);
+    if (!recipient) throw new StockError('Recipient not found', 404);
+    return recipient;
+  }
+
+  if (!issuedTo || !recipientName || !recipientID) {
+    throw new StockError('Recipient required: pick one, or give type, name and ID');
+  }
+
+  const normalizedId = normalizeRecipientId(recipientID);
+  if (!normalizedId) throw new StockError('Recipient ID must contain letters or digits');
+
+  // Upsert so two first issuances for a new ID can't both try to create it. Timestamps are set by hand:
+  // automatic ones would bump updatedAt on the existing recipient every time.
+  const now = new Date();
+  const recipient = await Recipient.findOneAndUpdate(
+    { normalizedId },
+    {
+      $setOnInsert: {
+        type: issuedTo,
+        recipientID: recipientID.trim(),
+        name: recipientName.trim(),
+        isActive: true,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now
+      }
+    },
+    { upsert: true, new: true, runValidators: true, timestamps: false, session }
+  );
+
+  if (!recipient.isActive) throw new StockError(`Recipient ${recipient.recipientID} is inactive`);
+  if (recipient.type !== issuedTo || !sameName(recipient.name, recipientName)) {
+    throw new StockError(`Recipient ID ${recipient.recipientID} belongs to ${recipient.name} (${recipient.type}); pick that recipient or use another ID`, 409);
+  }
+  return recipient;
+};
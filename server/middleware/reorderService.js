@@ -0,0 +1,103 @@
+import Medicine from '../models/Medicine.js';
+import Issuance from '../models/Issuance.js';
+import Supplier from '../models/Supplier.js';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+export const REORDER_DEFAULTS = {
+  lookbackDays: 90,
+  safetyStockDays: parseInt(process.env.REORDER_SAFETY_STOCK_DAYS) || 7,
+  coverDays: parseInt(process.env.REORDER_COVER_DAYS) || 30
+};
+
+// Reorder point and suggested quantity per medicine, from average daily consumption over the
+// lookback window, the supplier's lead time and a safety-stock allowance (all in days of demand).
+// Stock already on open purchase orders counts towards what is on hand.
+export const buildReorderSuggestions = async ({
+  lookbackDays = REORDER_DEFAULTS.lookbackDays,
+  safetyStockDays = REORDER_DEFAULTS.safetyStockDays,
+  coverDays = REORDER_DEFAULTS.coverDays,
+  supplierId,
+  medicineIds,
+  includeAll = false
+} = {}) => {
+  const since = new Date();
+  since.setDate(since.getDate() - lookbackDays);
+
+  const medicineQuery = { isActive: true };
+  if (supplierId) medicineQuery.supplierId = supplierId;
+  if (medicineIds?.length) medicineQuery._id = { $in: medicineIds };
+
+  const medicines = await Medicine.find(medicineQuery, 'name category quantity minQuantity price supplierId batches');
+
+  // Net units dispensed per medicine in the window (returns taken off)
+  const consumption = await Issuance.aggregate([
+    { $match: { issuedAt: { $gte: since }, status: { $ne: 'reversed' } } },
+    { $unwind: '$issuedMedicines' },
+    {
+      $group: {
+        _id: '$issuedMedicines.medicineId',
+        quantity: { $sum: { $subtract: ['$issuedMedicines.quantityIssued', { $ifNull: ['$issuedMedicines.quantityReturned', 0] }] } }
+      }
+    }
+  ]);
+  const consumedByMedicine = new Map(consumption.map(row => [row._id.toString(), row.quantity]));
+
+  const openOrders = await PurchaseOrder.find({ status: { $in: ['submitted', 'partially_received'] } }, 'lines');
+  const onOrderByMedicine = new Map();
+  for (const order of openOrders) {
+    for (const line of order.lines) {
+      const key = line.medicineId.toString();
+      const outstanding = Math.max(line.quantityOrdered - line.quantityReceived, 0);
+      onOrderByMedicine.set(key, (onOrderByMedicine.get(key) || 0) + outstanding);
+    }
+  }
+
+  const supplierIds = [...new Set(medicines.map(med => med.supplierId?.toString()).filter(Boolean))];
+  const suppliers = await Supplier.find({ _id: { $in: supplierIds } }, 'name leadTimeDays isActive');
+  const suppliersById = new Map(suppliers.map(supplier => [supplier._id.toString(), supplier]));
+
+  const suggestions = [];
+  for (const medicine of medicines) {
+    const key = medicine._id.toString();
+    const supplier = medicine.supplierId && suppliersById.get(medicine.supplierId.toString());
+    const leadTimeDays = supplier?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+
+    const averageDailyConsumption = (consumedByMedicine.get(key) || 0) / lookbackDays;
+    const onOrder = onOrderByMedicine.get(key) || 0;
+    const available = medicine.usableQuantity() + onOrder;
+
+    // minQuantity stays as a floor for items with little or no recorded demand
+    const reorderPoint = Math.max(Math.ceil(averageDailyConsumption * (leadTimeDays + safetyStockDays)), medicine.minQuantity);
+    const targetLevel = Math.max(Math.ceil(averageDailyConsumption * (leadTimeDays + safetyStockDays + coverDays)), reorderPoint + 1);
+    const needsReorder = available <= reorderPoint;
+
+    if (!needsReorder && !includeAll) continue;
+
+    // Last price paid is the best guess for the next order
+    const lastReceived = [...medicine.batches]
+      .filter(batch => batch.unitCost !== undefined && batch.unitCost !== null)
+      .sort((a, b) => b.receivedAt - a.receivedAt)[0];
+
+    suggestions.push({
+      medicineId: medicine._id,
+      name: medicine.name,
+      category: medicine.category,
+      supplierId: supplier?._id || null,
+      supplierName: supplier?.name || null,
+      quantity: medicine.quantity,
+      usableQuantity: medicine.usableQuantity(),
+      onOrder,
+      averageDailyConsumption: Math.round(averageDailyConsumption * 100) / 100,
+      leadTimeDays,
+      daysOfStock: averageDailyConsumption > 0 ? Math.floor(available / averageDailyConsumption) : null,
+      reorderPoint,
+      needsReorder,
+      suggestedQuantity: needsReorder ? targetLevel - available : 0,
+      unitCost: lastReceived?.unitCost ?? medicine.price
+    });
+  }
+
+  return suggestions.sort((a, b) => (a.daysOfStock ?? Infinity) - (b.daysOfStock ?? Infinity));
+};
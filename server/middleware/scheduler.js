@@ -0,0 +1,124 @@
+import os from 'os';
+import JobLock from '../models/JobLock.js';
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+// A failing scheduled run waits 1, 2, 4... minutes before the next try, up to an hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Run fn while holding the job's lock. Returns { skipped: true } when another instance holds it
+// (or, with notRunSince, when the scheduled run already happened or is backing off after a failure).
+// The outcome is recorded on the lock.
+export const runWithJobLock = async (name, fn, { trigger = 'manual', notRunSince = null, ttlMs = DEFAULT_LOCK_TTL_MS } = {}) => {
+  const now = new Date();
+  const conditions = [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }];
+  if (notRunSince) {
+    conditions.push({ $or: [{ lastScheduledRunAt: null }, { lastScheduledRunAt: { $lt: notRunSince } }] });
+    conditions.push({ $or: [{ retryAt: null }, { retryAt: { $lte: now } }] });
+  }
+
+  let previous;
+  try {
+    previous = await JobLock.findOneAndUpdate(
+      { _id: name, $and: conditions },
+      { $set: { lockedUntil: new Date(now.getTime() + ttlMs), lockedBy: instanceId, lastStartedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The upsert collides with the existing document when the filter didn't match it
+    if (error.code === 11000) return { skipped: true };
+    throw error;
+  }
+
+  const finished = (fields) => JobLock.updateOne(
+    { _id: name, lockedBy: instanceId },
+    {
+      $set: {
+        lockedUntil: null,
+        lastRunAt: now,
+        lastTrigger: trigger,
+        lastDurationMs: Date.now() - now.getTime(),
+        ...fields
+      }
+    }
+  );
+
+  try {
+    const result = await fn();
+    // Only a successful run counts as today's; a failed scheduled one is retried after a backoff
+    await finished({
+      lastStatus: 'success',
+      lastResult: result,
+      lastError: null,
+      failedAttempts: 0,
+      retryAt: null,
+      ...(trigger === 'scheduled' ? { lastScheduledRunAt: now } : {})
+    });
+    return { skipped: false, result };
+  } catch (error) {
+    const backoff = {};
+    if (trigger === 'scheduled') {
+      backoff.failedAttempts = (previous?.failedAttempts || 0) + 1;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (backoff.failedAttempts - 1), RETRY_MAX_MS);
+      backoff.retryAt = new Date(Date.now() + delay);
+    }
+    await finished({ lastStatus: 'failed', lastError: error.message, ...backoff });
+    throw error;
+  }
+};
+
+// Next time a daily "HH:MM" schedule fires after `from`
+export const nextDailyRun = (time, from = new Date()) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+// Check once a minute whether today's run is due. Safe to start on every instance.
+export const scheduleDaily = (name, time, fn) => {
+  if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+    console.error(`Scheduled job ${name} not started: invalid time "${time}" (expected HH:MM)`);
+    return null;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+
+  const tick = async () => {
+    const now = new Date();
+    const due = new Date(now);
+    due.setHours(hours, minutes, 0, 0);
+    if (now < due) return;
+
+    await runWithJobLock(name, fn, { trigger: 'scheduled', notRunSince: due });
+  };
+
+  const timer = setInterval(() => {
+    tick().catch(error => console.error(`Scheduled job ${name} failed:`, error));
+  }, 60 * 1000);
+  timer.unref();
+
+  console.log(`Scheduled job ${name} daily at ${time}`);
+  return timer;
+};
+
+export const getJobStatus = async (name) => {
+  const lock = await JobLock.findById(name);
+  if (!lock) return null;
+
+  return {
+    running: Boolean(lock.lockedUntil && lock.lockedUntil > new Date()),
+    lockedBy: lock.lockedBy,
+    lastStartedAt: lock.lastStartedAt,
+    lastRunAt: lock.lastRunAt,
+    lastScheduledRunAt: lock.lastScheduledRunAt,
+    lastTrigger: lock.lastTrigger,
+    lastStatus: lock.lastStatus,
+    lastResult: lock.lastResult,
+    lastError: lock.lastError,
+    lastDurationMs: lock.lastDurationMs,
+    failedAttempts: lock.failedAttempts,
+    retryAt: lock.retryAt
+  };
+};
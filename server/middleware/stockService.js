@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import Medicine from '../models/Medicine.js';
+import StockMovement from '../models/StockMovement.js';
+import { publishStreamEvent } from './streamService.js';
+
+// Thrown inside a transaction to abort it and report a client error
+export class StockError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StockError';
+    this.status = status;
+  }
+}
+
+const commitTasks = new WeakMap();
+
+// Runs fn(session) inside a MongoDB transaction (requires a replica set). Tasks queued with
+// afterCommit run once it has committed; a retried attempt starts with an empty queue.
+export const runInTransaction = async (fn) => {
+  let tasks;
+  const result = await mongoose.connection.transaction((session) => {
+    tasks = [];
+    commitTasks.set(session, tasks);
+    return fn(session);
+  });
+
+  for (const task of tasks) await task();
+  return result;
+};
+
+// Run task after the session's transaction commits, or straight away when there is no transaction
+export const afterCommit = async (session, task) => {
+  const tasks = session && commitTasks.get(session);
+  if (tasks) {
+    tasks.push(task);
+  } else {
+    await task();
+  }
+};
+
+// Re-save a medicine so its quantity and next-to-expire lot are recomputed from its batches
+const syncMedicine = async (medicineId, session = null) => {
+  const medicine = await Medicine.findById(medicineId).session(session);
+  await medicine.save({ session });
+  return medicine;
+};
+
+// Append an entry to the stock ledger; live clients get the new level
+export const recordMovement = async (entry, session = null) => {
+  const [movement] = await StockMovement.create([entry], { session });
+
+  await publishStreamEvent('stock', {
+    medicineId: movement.medicineId,
+    batchId: movement.batchId,
+    batchNumber: movement.batchNumber,
+    type: movement.type,
+    quantity: movement.quantity,
+    balanceAfter: movement.balanceAfter,
+    occurredAt: movement.occurredAt
+  }, session);
+
+  return movement;
+};
+
+// Pick the lots to draw from, First-Expired-First-Out. Expired lots are skipped unless
+// includeExpired is set (write-offs), and batchId restricts the draw to a single lot.
+export const allocateFEFO = (medicine, quantity, { asOf = new Date(), includeExpired = false, batchId = null } = {}) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of medicine.stockedBatches()) {
+    if (remaining === 0) break;
+    if (batchId && batch._id?.toString() !== batchId.toString()) continue;
+    if (!includeExpired && batch.expiryDate <= asOf) continue;
+
+    const take = Math.min(batch.quantity, remaining);
+    allocations.push({
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    const kind = includeExpired ? 'stock' : 'unexpired stock';
+    throw new StockError(`Insufficient ${kind} for ${medicine.name}. Available: ${quantity - remaining}, Requested: ${quantity}`);
+  }
+
+  return allocations;
+};
+
+// Take stock off a medicine FEFO (see allocateFEFO for options). Each lot is decremented with a guarded update so
+// concurrent dispenses can't oversell, and each lot drawn is written to the ledger.
+// Returns the updated medicine and the lots consumed.
+export const decrementStock = async (medicine, quantity, userId, session = null, movement = {}, options = {}) => {
+  if (medicine.ensureBatches()) {
+    await medicine.save({ session });
+  }
+
+  const allocations = allocateFEFO(medicine, quantity, options);
+
+  for (const allocation of allocations) {
+    const updated = await Medicine.findOneAndUpdate(
+      {
+        _id: medicine._id,
+        isActive: true,
+        batches: {
+          $elemMatch: {
+            _id: allocation.batchId,
+            quantity: { $gte: allocation.quantity },
+            ...(options.includeExpired ? {} : { expiryDate: { $gt: new Date() } })
+          }
+        }
+      },
+      {
+        $inc: { 'batches.$.quantity': -allocation.quantity, quantity: -allocation.quantity },
+        $set: { updatedBy: userId }
+      },
+      { new: true, session, projection: { quantity: 1 } }
+    );
+
+    if (!updated) {
+      throw new StockError(`Insufficient stock for ${medicine.name}. Requested: ${quantity}`, 409);
+    }
+
+    await recordMovement({
+      medicineId: medicine._id,
+      batchId: allocation.batchId,
+      batchNumber: allocation.batchNumber,
+      type: movement.type || 'issue',
+      quantity: -allocation.quantity,
+      balanceAfter: updated.quantity,
+      referenceType: movement.referenceType,
+      referenceId: movement.referenceId,
+      notes: movement.notes,
+      performedBy: userId
+    }, session);
+  }
+
+  return { medicine: await syncMedicine(medicine._id, session), allocations };
+};
+
+// Put stock back on the lots it was drawn from. Quantities without a known lot
+// (issuances recorded before batch tracking) go to the longest-dated lot.
+export const incrementStock = async (medicineId, quantity, userId, session = null, allocations = [], movement = {}) => {
+  const medicine = await Medicine.findById(medicineId).session(session);
+  if (!medicine) {
+    throw new StockError(`Medicine not found: ${medicineId}`, 404);
+  }
+
+  medicine.ensureBatches();
+  const openingQuantity = medicine.quantity;
+
+  const entries = [];
+  let remaining = quantity;
+  for (const allocation of allocations) {
+    const batch = medicine.batches.id(allocation.batchId);
+    if (!batch) continue;
+
+    batch.quantity += allocation.quantity;
+    entries.push({ batch, quantity: allocation.quantity });
+    remaining -= allocation.quantity;
+  }
+
+  if (remaining > 0) {
+    const [latest] = [...medicine.batches].sort((a, b) => b.expiryDate - a.expiryDate);
+    if (latest) {
+      latest.quantity += remaining;
+    } else {
+      medicine.quantity += remaining;
+    }
+    entries.push({ batch: latest, quantity: remaining });
+  }
+
+  medicine.updatedBy = userId;
+  await medicine.save({ session });
+
+  let balance = openingQuantity;
+  for (const entry of entries) {
+    balance += entry.quantity;
+    await recordMovement({
+      medicineId: medicine._id,
+      batchId: entry.batch?._id,
+      batchNumber: entry.batch?.batchNumber,
+      type: movement.type || 'return',
+      quantity: entry.quantity,
+      balanceAfter: balance,
+      referenceType: movement.referenceType,
+      referenceId: movement.referenceId,
+      notes: movement.notes,
+      performedBy: userId
+    }, session);
+  }
+
+  return medicine;
+};
+
+// Receive a new lot. A delivery matching an existing batch number and expiry is merged into it.
+export const receiveStock = async (medicineId, lot, userId, session = null, movement = {}) => {
+  const medicine = await Medicine.findById(medicineId).session(session);
+  if (!medicine || !medicine.isActive) {
+    throw new StockError('Medicine not found', 404);
+  }
+
+  medicine.ensureBatches();
+
+  const expiryDate = new Date(lot.expiryDate);
+  let batch = lot.batchNumber && medicine.batches.find(existing =>
+    existing.batchNumber === lot.batchNumber && existing.expiryDate.getTime() === expiryDate.getTime()
+  );
+
+  if (batch) {
+    batch.quantity += lot.quantity;
+    batch.initialQuantity += lot.quantity;
+    if (lot.unitCost !== undefined) batch.unitCost = lot.unitCost;
+  } else {
+    medicine.batches.push({
+      batchNumber: lot.batchNumber,
+      quantity: lot.quantity,
+      initialQuantity: lot.quantity,
+      expiryDate,
+      supplierId: lot.supplierId,
+      unitCost: lot.unitCost,
+      receivedBy: userId
+    });
+    batch = medicine.batches[medicine.batches.length - 1];
+  }
+
+  medicine.initialStock += lot.quantity;
+  medicine.updatedBy = userId;
+  await medicine.save({ session });
+
+  await recordMovement({
+    medicineId: medicine._id,
+    batchId: batch._id,
+    batchNumber: batch.batchNumber,
+    type: movement.type || 'receipt',
+    quantity: lot.quantity,
+    balanceAfter: medicine.quantity,
+    unitCost: lot.unitCost,
+    referenceType: movement.referenceType || 'Medicine',
+    referenceId: movement.referenceId || medicine._id,
+    notes: movement.notes,
+    performedBy: userId
+  }, session);
+
+  return { medicine, batch };
+};
+
+// Post an approved adjustment to stock and the ledger. Write-offs may draw from expired lots.
+// The caller saves the adjustment, which gets the lots consumed recorded on it.
+export const applyAdjustment = async (adjustment, userId, session = null) => {
+  const medicine = await Medicine.findById(adjustment.medicineId).session(session);
+  if (!medicine || !medicine.isActive) {
+    throw new StockError('Medicine not found', 404);
+  }
+
+  const movement = {
+    type: 'adjustment',
+    referenceType: 'StockAdjustment',
+    referenceId: adjustment._id,
+    notes: adjustment.notes ? `${adjustment.reason}: ${adjustment.notes}` : adjustment.reason
+  };
+
+  if (adjustment.quantity < 0) {
+    const { medicine: updated, allocations } = await decrementStock(medicine, -adjustment.quantity, userId, session, movement, {
+      includeExpired: true,
+      batchId: adjustment.batchId
+    });
+    adjustment.batches = allocations;
+    return updated;
+  }
+
+  if (adjustment.batchId && !medicine.batches.id(adjustment.batchId)) {
+    throw new StockError('Batch not found', 404);
+  }
+
+  const allocations = adjustment.batchId ? [{ batchId: adjustment.batchId, quantity: adjustment.quantity }] : [];
+  return incrementStock(medicine._id, adjustment.quantity, userId, session, allocations, movement);
+};
+
+// Bin card for one medicine over a date range. Every movement stores the balance after it,
+// so the opening balance is recovered from the first movement on or after the start date.
+export const buildLedger = async (medicine, { startDate, endDate } = {}) => {
+  const query = { medicineId: medicine._id };
+  if (startDate || endDate) {
+    query.occurredAt = {};
+    if (startDate) query.occurredAt.$gte = new Date(startDate);
+    if (endDate) query.occurredAt.$lte = new Date(endDate);
+  }
+
+  const movements = await StockMovement.find(query)
+    .populate('performedBy', 'name')
+    .sort({ occurredAt: 1, _id: 1 });
+
+  let anchor = movements[0];
+  if (!anchor && endDate) {
+    anchor = await StockMovement.findOne({ medicineId: medicine._id, occurredAt: { $gt: new Date(endDate) } })
+      .sort({ occurredAt: 1, _id: 1 });
+  }
+
+  const openingBalance = anchor ? anchor.balanceAfter - anchor.quantity : medicine.quantity;
+
+  const totals = { receipt: 0, issue: 0, return: 0, adjustment: 0, transfer: 0 };
+  for (const movement of movements) {
+    totals[movement.type] += movement.quantity;
+  }
+  const closingBalance = openingBalance + movements.reduce((sum, movement) => sum + movement.quantity, 0);
+
+  return { openingBalance, closingBalance, totals, movements };
+};
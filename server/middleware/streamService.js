@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+import StreamEvent from '../models/StreamEvent.js';
+import { afterCommit } from './stockService.js';
+
+const REPLAY_LIMIT = 500;
+const WATCH_RETRY_MS = 5 * 1000;
+const INSERTS = [{ $match: { operationType: 'insert' } }];
+
+const clients = new Set();
+let changeStream = null;
+
+// Record an event for connected clients. Inside a transaction pass the session: the event is
+// published once the transaction commits, and not at all if it aborts.
+export const publishStreamEvent = (type, data, session = null) => afterCommit(session, async () => {
+  try {
+    await StreamEvent.create({ type, data });
+  } catch (error) {
+    console.error('Failed to publish stream event:', error);
+  }
+});
+
+// Events are identified by the cluster time of their insert, which every instance's change stream
+// sees in the same (commit) order
+const eventId = (clusterTime) => `${clusterTime.t}.${clusterTime.i}`;
+
+const parseEventId = (value) => {
+  const match = /^(\d+)\.(\d+)$/.exec(value || '');
+  return match ? new mongoose.mongo.Timestamp({ t: parseInt(match[1]), i: parseInt(match[2]) }) : null;
+};
+
+const write = (client, change) => {
+  if (client.lastEventId && change.clusterTime.compare(client.lastEventId) <= 0) return;
+  client.lastEventId = change.clusterTime;
+
+  const event = change.fullDocument;
+  if (!client.canReceive(event)) return;
+
+  client.res.write(`id: ${eventId(change.clusterTime)}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const deliver = (change) => {
+  for (const client of clients) {
+    if (client.pending) {
+      client.pending.push(change);
+    } else {
+      write(client, change);
+    }
+  }
+};
+
+// One change stream per instance, opened with the first client, so events from every instance reach every client
+const watch = () => {
+  if (changeStream) return;
+
+  changeStream = StreamEvent.watch(INSERTS);
+  changeStream.on('change', deliver);
+  changeStream.on('error', error => {
+    console.error('Stream change stream error:', error);
+    changeStream.close().catch(() => {});
+    changeStream = null;
+    if (clients.size) setTimeout(watch, WATCH_RETRY_MS).unref();
+  });
+};
+
+// Changes since the client's last event, read back from the oplog up to what has committed so far
+const replay = async (client) => {
+  const missed = StreamEvent.collection.watch(INSERTS, { startAtOperationTime: client.lastEventId });
+  try {
+    for (let count = 0; count < REPLAY_LIMIT; count += 1) {
+      const change = await missed.tryNext();
+      if (!change) break;
+      write(client, change);
+    }
+  } finally {
+    await missed.close();
+  }
+};
+
+// Register an SSE client; canReceive(event) filters what it sees. Events after lastEventId are replayed first.
+export const addStreamClient = async (res, canReceive, lastEventId = null) => {
+  const client = {
+    res,
+    canReceive,
+    lastEventId: parseEventId(lastEventId),
+    pending: []
+  };
+  clients.add(client);
+  watch();
+
+  const remove = () => {
+    clients.delete(client);
+    if (!clients.size && changeStream) {
+      changeStream.close().catch(() => {});
+      changeStream = null;
+    }
+  };
+
+  // Live events arriving during the replay queue up behind it. Once the oplog no longer reaches
+  // back that far the client just carries on from now.
+  if (client.lastEventId) {
+    try {
+      await replay(client);
+    } catch (error) {
+      console.error('Stream replay error:', error);
+    }
+  }
+
+  const queued = client.pending;
+  client.pending = null;
+  queued.forEach(change => write(client, change));
+
+  return remove;
+};
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const PREVIOUS_HASH_LIMIT = 20;
+// lastSeenAt is only written when it is older than this, to spare a write on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Thrown when a refresh token can't be exchanged; reuse carries the affected session
+export class TokenError extends Error {
+  constructor(message, status = 401, reusedSession = null) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+    this.reusedSession = reusedSession;
+  }
+}
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session is found without a hash lookup
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+// Rough "Browser on OS" label for the session list; the raw user agent is kept alongside
+export const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'], [/PostmanRuntime/, 'Postman'], [/curl\//, 'curl'], [/node|axios|undici/i, 'API client']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1] || 'Unknown browser';
+
+  const os = [
+    [/Windows/, 'Windows'], [/Android/, 'Android'], [/iPhone|iPad|iPod/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  return os ? `${browser} on ${os}` : browser;
+};
+
+const clientInfo = (req) => {
+  const userAgent = req?.get('User-Agent') || '';
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req?.ip || req?.connection?.remoteAddress
+  };
+};
+
+// What users and admins see in session lists; secrets stay out
+export const sessionView = (session, currentSessionId = null) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  lastIpAddress: session.lastIpAddress || session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+  revokedAt: session.revokedAt,
+  revokedReason: session.revokedReason
+});
+
+export const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, role: user.role, sid: sessionId, tv: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a session at login and return its first token pair
+export const issueTokens = async (user, req = null) => {
+  const client = clientInfo(req);
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    expiresAt: refreshExpiry(),
+    ...client,
+    lastSeenAt: new Date(),
+    lastIpAddress: client.ipAddress
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { token: signAccessToken(user, session._id), refreshToken, expiresIn: ACCESS_TOKEN_TTL, session };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already rotated out means it
+// leaked, so the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken, req = null) => {
+  const [sessionId] = String(refreshToken).split('.');
+  const session = /^[0-9a-f]{24}$/i.test(sessionId) ? await Session.findById(sessionId) : null;
+  if (!session) throw new TokenError('Invalid refresh token');
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    await revokeSession(session, 'reuse_detected');
+    throw new TokenError('Refresh token reuse detected; session revoked', 401, session);
+  }
+  if (session.refreshTokenHash !== presentedHash) throw new TokenError('Invalid refresh token');
+  if (!session.isUsable()) throw new TokenError('Session expired or revoked');
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await revokeSession(session, 'user_updated');
+    throw new TokenError('User inactive');
+  }
+
+  // Only one request can rotate a given token
+  const nextToken = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        expiresAt: refreshExpiry(),
+        lastRefreshedAt: new Date(),
+        lastSeenAt: new Date(),
+        lastIpAddress: clientInfo(req).ipAddress
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -PREVIOUS_HASH_LIMIT } }
+    },
+    { new: true }
+  );
+  if (!rotated) throw new TokenError('Refresh token already used');
+
+  return { token: signAccessToken(user, rotated._id), refreshToken: nextToken, expiresIn: ACCESS_TOKEN_TTL, session: rotated, user };
+};
+
+export const revokeSession = async (session, reason = 'revoked', revokedBy = null) => {
+  if (session.revokedAt) return session;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  if (revokedBy) session.revokedBy = revokedBy;
+  return session.save();
+};
+
+// Checked on every authenticated request so a revoked session stops working straight away,
+// not when its access token expires. Returns false when the session can't be used.
+export const touchSession = async (sessionId, req) => {
+  const session = await Session.findById(sessionId, 'revokedAt expiresAt lastSeenAt lastIpAddress');
+  if (!session || !session.isUsable()) return false;
+
+  const ipAddress = clientInfo(req).ipAddress;
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS || session.lastIpAddress !== ipAddress) {
+    await Session.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date(), lastIpAddress: ipAddress } });
+  }
+  return true;
+};
+
+// Revoke every open session of a user, optionally keeping one
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
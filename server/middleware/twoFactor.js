@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { hashToken } from './tokenService.js';
+
+// Accept the previous and next 30-second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'APMS';
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES (comma separated, e.g. "Admin") must use 2FA
+export const twoFactorRequiredFor = (user) => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .includes(user.role);
+
+export const needsTwoFactorEnrolment = (user) => twoFactorRequiredFor(user) && !user.twoFactor?.enabled;
+
+// New secret with its otpauth:// URI and a QR code for authenticator apps
+export const createEnrolment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Returns the time step the code belongs to, or null when it's wrong or that step was already used
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  if (!secret || !code) return null;
+
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 30000) + delta;
+  if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) return null;
+  return step;
+};
+
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Codes are shown once; only their hashes are kept
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hashToken(normalizeBackupCode(code))) };
+};
+
+// Mark a verified code's step used. The guard makes it single-use even across parallel requests:
+// false when another request already recorded this step or a later one.
+export const claimTotpStep = async (userId, step) => {
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }] },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Remove a matching backup code from the user in one update; false when there's no match
+// (or a parallel request used it first)
+export const consumeBackupCode = async (userId, code) => {
+  const hash = hashToken(normalizeBackupCode(code));
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodeHashes': hash },
+    { $pull: { 'twoFactor.backupCodeHashes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Proof that the password step passed; only accepted by POST /api/auth/login/2fa
+export const signTwoFactorChallenge = (user) => jwt.sign(
+  { userId: user._id, purpose: '2fa', tv: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+export const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
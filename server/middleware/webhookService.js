@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const SEND_LEASE_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers verify X-APMS-Signature by computing HMAC-SHA256 over "<X-APMS-Timestamp>.<raw body>"
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Event payload shapes
+export const medicinePayload = (medicine) => ({
+  id: medicine._id,
+  name: medicine.name,
+  category: medicine.category,
+  quantity: medicine.quantity,
+  minQuantity: medicine.minQuantity,
+  expiryDate: medicine.expiryDate,
+  isActive: medicine.isActive
+});
+
+export const userPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive
+});
+
+const kickWorker = () => setImmediate(() => {
+  processWebhookDeliveries().catch(error => console.error('Webhook delivery error:', error));
+});
+
+// Queue an event for every active webhook subscribed to it. Pass the session when emitting inside
+// a transaction so nothing is sent for work that gets rolled back; errors then propagate to abort it.
+export const emitWebhookEvent = async (event, data, session = null) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: { $in: [event, '*'] } }, '_id').session(session);
+    if (!webhooks.length) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+
+    await WebhookDelivery.create(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      event,
+      eventId: payload.id,
+      payload
+    })), { session, ordered: true });
+
+    if (!session) kickWorker();
+  } catch (error) {
+    if (session) throw error;
+    console.error('Failed to emit webhook event:', error);
+  }
+};
+
+// Queue a fresh copy of an earlier delivery (or a one-off test event)
+export const redeliver = async (delivery, requestedBy) => {
+  const copy = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id || undefined,
+    requestedBy
+  });
+  kickWorker();
+  return copy;
+};
+
+const claimNext = (now) => WebhookDelivery.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lte: now } }
+    ]
+  },
+  { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LEASE_MS) } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+const attemptDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'APMS-Webhooks/1.0',
+        'X-APMS-Event': delivery.event,
+        'X-APMS-Delivery': delivery._id.toString(),
+        'X-APMS-Timestamp': timestamp,
+        'X-APMS-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const responseBody = (await response.text()).slice(0, 1000);
+
+    return {
+      ok: response.ok,
+      attempt: { responseStatus: response.status, responseBody, durationMs: Date.now() - started }
+    };
+  } catch (error) {
+    return { ok: false, attempt: { error: error.message, durationMs: Date.now() - started } };
+  }
+};
+
+// Send due deliveries; failures retry with exponential backoff until WEBHOOK_MAX_ATTEMPTS
+export const processWebhookDeliveries = async () => {
+  const result = { succeeded: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const delivery = await claimNext(new Date());
+    if (!delivery) break;
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ error: 'Webhook deleted or disabled' });
+      delivery.lockedUntil = undefined;
+      await delivery.save();
+      continue;
+    }
+
+    const { ok, attempt } = await attemptDelivery(delivery, webhook);
+    delivery.attempts.push(attempt);
+    delivery.lockedUntil = undefined;
+
+    if (ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      result.succeeded++;
+    } else {
+      delivery.status = delivery.attempts.length >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1));
+      result.failed++;
+    }
+    await delivery.save();
+
+    await Webhook.updateOne({ _id: webhook._id }, {
+      lastDeliveryAt: new Date(),
+      lastDeliveryStatus: ok ? 'succeeded' : 'failed'
+    });
+  }
+
+  return result;
+};
+
+export const startWebhookWorker = (intervalMs = 30 * 1000) => {
+  const timer = setInterval(() => {
+    processWebhookDeliveries().catch(error => console.error('Webhook delivery error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
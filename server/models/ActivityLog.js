@@ -4,21 +4,29 @@ const activityLogSchema = new mongoose.Schema({
   actionType: {
     type: String,
     required: true,
-    enum: ['Add', 'Update', 'Delete', 'Issue', 'Login', 'Logout', 'Stock In', 'Stock Out']
+    enum: ['Add', 'Update', 'Delete', 'Issue', 'Login', 'Logout', 'Stock In', 'Stock Out', 'Return', 'Adjust', 'Acknowledge', 'Login Failed']
   },
   entityType: {
     type: String,
     required: true,
-    enum: ['Medicine', 'User', 'Issuance', 'System']
+    enum: ['Medicine', 'User', 'Issuance', 'StockCount', 'Supplier', 'PurchaseOrder', 'Alert', 'Webhook', 'Role', 'Invitation', 'ApiKey', 'Recipient', 'System']
   },
   entityId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Empty for failed logins against unknown accounts
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () {
+      return this.actionType !== 'Login Failed';
+    }
+  },
+  // Set when the action was taken with an API key (performedBy is then the key's owner)
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
   },
   description: {
     type: String,
@@ -47,5 +55,6 @@ const activityLogSchema = new mongoose.Schema({
 activityLogSchema.index({ performedBy: 1, createdAt: -1 });
 activityLogSchema.index({ actionType: 1, createdAt: -1 });
 activityLogSchema.index({ entityType: 1, entityId: 1 });
+activityLogSchema.index({ apiKeyId: 1, createdAt: -1 }, { sparse: true });
 
 export default mongoose.model('ActivityLog', activityLogSchema);
\ No newline at end of file
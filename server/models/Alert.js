@@ -1,10 +1,26 @@
 import mongoose from 'mongoose';
 
+export const ALERT_TYPES = ['user_added', 'user_updated', 'stock_low', 'medicine_expiring', 'medicine_expired', 'stock_entry', 'medicine_issued', 'medicine_returned', 'stock_adjusted', 'user_deleted', 'medicine_added', 'account_locked', 'suspicious_login', 'system'];
+export const ALERT_SEVERITIES = ['info', 'warning', 'danger', 'success'];
+
+// Account alerts name other users and their IP addresses, so only holders of one of these
+// permissions can subscribe to or receive them
+export const ALERT_TYPE_PERMISSIONS = {
+  user_added: ['user:manage', 'activity:read'],
+  user_updated: ['user:manage', 'activity:read'],
+  user_deleted: ['user:manage', 'activity:read'],
+  account_locked: ['user:manage', 'activity:read'],
+  suspicious_login: ['user:manage', 'activity:read']
+};
+
+export const alertTypesFor = (permissions) => ALERT_TYPES.filter(type =>
+  !ALERT_TYPE_PERMISSIONS[type] || ALERT_TYPE_PERMISSIONS[type].some(permission => permissions.includes(permission)));
+
 const alertSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['user_added', 'stock_low', 'medicine_expiring', 'medicine_expired', 'stock_entry', 'medicine_issued', 'user_deleted', 'medicine_added', 'system']
+    enum: ALERT_TYPES
   },
   title: {
     type: String,
@@ -18,7 +34,7 @@ const alertSchema = new mongoose.Schema({
   },
   severity: {
     type: String,
-    enum: ['info', 'warning', 'danger', 'success'],
+    enum: ALERT_SEVERITIES,
     default: 'info'
   },
   entityType: {
@@ -30,19 +46,88 @@ const alertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     required: true
   },
+  // Medicine category, for category subscriptions
+  category: {
+    type: String,
+    trim: true
+  },
+  // Empty for alerts raised by the scheduled scan
   triggeredBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
-  isRead: {
-    type: Boolean,
-    default: false
+  // Alerts for an ongoing condition (low stock, a lot expiring) share one key per medicine or lot,
+  // so a repeat check refreshes the open alert instead of adding another
+  dedupeKey: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved']
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastTriggeredAt: {
+    type: Date,
+    default: Date.now
   },
+  escalatedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolution: {
+    type: String,
+    maxlength: 200
+  },
+  // Read and acknowledged state is per user
+  readBy: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      readAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  acknowledgements: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      comment: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+      },
+      acknowledgedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Open condition alerts have no expiry; they get one when resolved
   expiresAt: {
     type: Date,
     default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days from now
@@ -51,10 +136,34 @@ const alertSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Danger alerts can't simply be marked read; each user acknowledges them with a comment
+alertSchema.virtual('requiresAcknowledgement').get(function () {
+  return this.severity === 'danger';
+});
+
+// The requesting user's view of the alert
+alertSchema.methods.stateFor = function (userId) {
+  const read = this.readBy.find(entry => entry.user.equals(userId));
+  const acknowledgement = this.acknowledgements.find(entry => entry.user.equals(userId));
+
+  return {
+    isRead: Boolean(read),
+    readAt: read?.readAt || null,
+    isAcknowledged: Boolean(acknowledgement),
+    acknowledgedAt: acknowledgement?.acknowledgedAt || null
+  };
+};
+
+alertSchema.set('toJSON', { virtuals: true });
+
 // Create indexes for better performance
-alertSchema.index({ isRead: 1, isActive: 1, createdAt: -1 });
+alertSchema.index({ isActive: 1, createdAt: -1 });
+alertSchema.index({ 'readBy.user': 1 });
 alertSchema.index({ type: 1, createdAt: -1 });
 alertSchema.index({ triggeredBy: 1 });
 alertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+alertSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+alertSchema.index({ entityId: 1, status: 1 });
+alertSchema.index({ isActive: 1, lastTriggeredAt: -1 });
 
 export default mongoose.model('Alert', alertSchema);
\ No newline at end of file
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from './Role.js';
+
+// Key for machine-to-machine access. Only the hash is stored; requests act as the owner, limited to the scopes.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // First characters of the key, so it can be recognised in lists and logs
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+apiKeySchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+
+// Create indexes for better performance
+apiKeySchema.index({ ownerId: 1, createdAt: -1 });
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Named sequence, bumped atomically by nextSequence
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+// Next value of a sequence, starting at 1. Inside a transaction the counter stays locked until commit,
+// so values are handed out in commit order.
+export const nextSequence = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, session }
+  );
+  return counter.seq;
+};
+
+export default Counter;
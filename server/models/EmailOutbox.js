@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// Outgoing mail is stored first and sent by the outbox worker, so nothing is lost while SMTP is down
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['alert', 'digest', 'password_reset', 'invitation'],
+    required: true
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the instance currently sending
+  lockedUntil: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ alertId: 1 });
+emailOutboxSchema.index({ createdAt: -1 });
+
+export default mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RECIPIENT_TYPES } from './Recipient.js';
 
 // const issuanceSchema = new mongoose.Schema({
 //   medicineId: {
@@ -64,13 +65,48 @@ const issuanceSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: 1
-      }
+      },
+      quantityReturned: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      batches: [
+        {
+          batchId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+          },
+          batchNumber: {
+            type: String,
+            trim: true
+          },
+          expiryDate: {
+            type: Date
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1
+          },
+          quantityReturned: {
+            type: Number,
+            min: 0,
+            default: 0
+          }
+        }
+      ]
     }
   ],
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipient'
+  },
+  // Recipient details as they were when the medicine was issued
   issuedTo: {
     type: String,
     required: true,
-    enum: ['GIZ Guest', 'AZI Guest', 'Employee']
+    enum: RECIPIENT_TYPES
   },
   recipientName: {
     type: String,
@@ -103,16 +139,74 @@ const issuanceSchema = new mongoose.Schema({
   issuedAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'partially_returned', 'reversed'],
+    default: 'issued'
+  },
+  returns: [
+    {
+      lines: [
+        {
+          lineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+          },
+          medicineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Medicine',
+            required: true
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1
+          }
+        }
+      ],
+      reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+      },
+      returnedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      returnedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ]
 }, {
   timestamps: true
 });
 
+// Recompute status from the per-line returned quantities
+issuanceSchema.methods.refreshStatus = function() {
+  const outstanding = this.issuedMedicines.some(line => line.quantityReturned < line.quantityIssued);
+  const anyReturned = this.issuedMedicines.some(line => line.quantityReturned > 0);
+
+  if (!outstanding) {
+    this.status = 'reversed';
+  } else if (anyReturned) {
+    this.status = 'partially_returned';
+  } else {
+    this.status = 'issued';
+  }
+  return this.status;
+};
 
 // Create indexes for better performance
 issuanceSchema.index({ medicineId: 1, issuedAt: -1 });
 issuanceSchema.index({ issuedTo: 1, issuedAt: -1 });
+issuanceSchema.index({ recipientId: 1, issuedAt: -1 });
 issuanceSchema.index({ recipientID: 1 });
 issuanceSchema.index({ issuedBy: 1 });
+issuanceSchema.index({ status: 1, issuedAt: -1 });
 
 export default mongoose.model('Issuance', issuanceSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One document per background job: a lease so only one server instance runs it at a time,
+// plus the outcome of the last run
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String
+  },
+  lastStartedAt: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastScheduledRunAt: {
+    type: Date
+  },
+  lastTrigger: {
+    type: String,
+    enum: ['scheduled', 'manual']
+  },
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  lastDurationMs: {
+    type: Number
+  },
+  // Scheduled runs that failed in a row, and when the next attempt may start
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  retryAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('JobLock', jobLockSchema);
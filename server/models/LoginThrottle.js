@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter for one email address or one client IP
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  firstFailureAt: {
+    type: Date
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // For IPs: the accounts tried, to spot one address working through many emails
+  emails: {
+    type: [String],
+    default: undefined
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
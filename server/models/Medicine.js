@@ -1,5 +1,44 @@
 import mongoose from 'mongoose';
 
+// A single lot of stock with its own expiry; quantity/expiryDate on the medicine are derived from these
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  initialQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const medicineSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -49,12 +88,16 @@ const medicineSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
-  supplier: {
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  batchNumber: {
     type: String,
     trim: true,
-    maxlength: 200
+    maxlength: 100
   },
-  batchNumber: {
+  shelf: {
     type: String,
     trim: true,
     maxlength: 100
@@ -64,6 +107,7 @@ const medicineSchema = new mongoose.Schema({
     trim: true,
     maxlength: 500
   },
+  batches: [batchSchema],
   isActive: {
     type: Boolean,
     default: true
@@ -86,6 +130,56 @@ medicineSchema.index({ name: 'text', category: 1 });
 medicineSchema.index({ barcode: 1 });
 medicineSchema.index({ expiryDate: 1 });
 medicineSchema.index({ quantity: 1, minQuantity: 1 });
+medicineSchema.index({ 'batches.expiryDate': 1 });
+medicineSchema.index({ supplierId: 1 });
+
+// ✅ Lots with stock on hand, First-Expired-First-Out. Medicines saved before batches existed
+// are treated as a single lot built from the legacy fields.
+medicineSchema.methods.stockedBatches = function () {
+  const batches = this.batches.length
+    ? this.batches.filter(batch => batch.quantity > 0)
+    : (this.quantity > 0 ? [{ batchNumber: this.batchNumber, quantity: this.quantity, expiryDate: this.expiryDate, supplierId: this.supplierId }] : []);
+
+  return [...batches].sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// ✅ Stock that can still be dispensed (unexpired lots only)
+medicineSchema.methods.usableQuantity = function (asOf = new Date()) {
+  return this.stockedBatches()
+    .filter(batch => batch.expiryDate > asOf)
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+};
+
+// ✅ Turn legacy single-lot stock into a real batch; returns true when one was created
+medicineSchema.methods.ensureBatches = function () {
+  if (this.batches.length || this.quantity <= 0) return false;
+
+  this.batches.push({
+    batchNumber: this.batchNumber,
+    quantity: this.quantity,
+    initialQuantity: this.quantity,
+    expiryDate: this.expiryDate,
+    supplierId: this.supplierId
+  });
+  return true;
+};
+
+// ✅ Keep the medicine-level totals in step with its lots
+medicineSchema.pre('validate', function (next) {
+  this.ensureBatches();
+
+  if (this.batches.length) {
+    this.quantity = this.batches.reduce((sum, batch) => sum + batch.quantity, 0);
+
+    const [nextBatch] = this.stockedBatches();
+    if (nextBatch) {
+      this.expiryDate = nextBatch.expiryDate;
+      this.batchNumber = nextBatch.batchNumber;
+    }
+  }
+
+  next();
+});
 
 // ✅ Virtuals
 medicineSchema.virtual('isLowStock').get(function () {
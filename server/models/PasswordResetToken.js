@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Single-use password reset token; only the hash is stored
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  // Set when an admin generated the token on the user's behalf
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PasswordResetToken', passwordResetTokenSchema);
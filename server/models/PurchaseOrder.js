@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import Counter, { nextSequence } from './Counter.js';
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    trim: true
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  lines: [
+    {
+      medicineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+      },
+      quantityOrdered: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      unitCost: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      quantityReceived: {
+        type: Number,
+        min: 0,
+        default: 0
+      }
+    }
+  ],
+  receipts: [
+    {
+      lines: [
+        {
+          lineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+          },
+          medicineId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Medicine',
+            required: true
+          },
+          batchId: {
+            type: mongoose.Schema.Types.ObjectId
+          },
+          batchNumber: {
+            type: String,
+            trim: true,
+            maxlength: 100
+          },
+          expiryDate: {
+            type: Date,
+            required: true
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1
+          },
+          unitCost: {
+            type: Number,
+            min: 0
+          }
+        }
+      ],
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      },
+      receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      receivedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  expectedDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Set when a partially received order is closed without waiting for the rest
+  closedShort: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Give new orders a sequential, human-readable number from a per-year counter, so parallel
+// creates never share a number and deleted orders' numbers aren't reused
+purchaseOrderSchema.pre('validate', async function (next) {
+  if (this.poNumber) return next();
+
+  try {
+    const year = new Date().getFullYear();
+    const key = `purchase-order:${year}`;
+
+    // Orders numbered before the counter existed: carry on after the highest of them
+    if (!(await Counter.exists({ key }))) {
+      const latest = await this.constructor.findOne({ poNumber: new RegExp(`^PO-${year}-`) }, 'poNumber').sort({ poNumber: -1 });
+      const seq = latest ? parseInt(latest.poNumber.split('-')[2]) || 0 : 0;
+      await Counter.updateOne({ key }, { $setOnInsert: { seq } }, { upsert: true });
+    }
+
+    const seq = await nextSequence(key, this.$session());
+    this.poNumber = `PO-${year}-${String(seq).padStart(4, '0')}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recompute status from received quantities
+purchaseOrderSchema.methods.refreshStatus = function () {
+  const anyReceived = this.lines.some(line => line.quantityReceived > 0);
+  const allReceived = this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+
+  if (allReceived) {
+    this.status = 'received';
+  } else if (anyReceived) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+// Ordered vs received per line: outstanding is an under-delivery so far, overDelivered the excess
+purchaseOrderSchema.virtual('deliveryVariance').get(function () {
+  return this.lines.map(line => ({
+    lineId: line._id,
+    medicineId: line.medicineId,
+    quantityOrdered: line.quantityOrdered,
+    quantityReceived: line.quantityReceived,
+    outstanding: Math.max(line.quantityOrdered - line.quantityReceived, 0),
+    overDelivered: Math.max(line.quantityReceived - line.quantityOrdered, 0)
+  }));
+});
+
+purchaseOrderSchema.virtual('orderedValue').get(function () {
+  return Math.round(this.lines.reduce((sum, line) => sum + line.quantityOrdered * line.unitCost, 0) * 100) / 100;
+});
+
+purchaseOrderSchema.virtual('receivedValue').get(function () {
+  return Math.round(this.receipts.reduce((sum, receipt) =>
+    sum + receipt.lines.reduce((lineSum, line) => lineSum + line.quantity * (line.unitCost || 0), 0), 0) * 100) / 100;
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+
+// Create indexes for better performance
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'lines.medicineId': 1 });
+
+export default mongoose.model('PurchaseOrder', purchaseOrderSchema);
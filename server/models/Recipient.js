@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const RECIPIENT_TYPES = ['GIZ Guest', 'AZI Guest', 'Employee'];
+
+// IDs are matched ignoring case, spacing and punctuation, so "emp 042" and "EMP042" are one person.
+// Letters and digits in any script count; an ID with none of them normalises to "" and is rejected.
+export const normalizeRecipientId = (recipientID = '') => recipientID.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const recipientSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: RECIPIENT_TYPES
+  },
+  recipientID: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  normalizedId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  allergies: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+recipientSchema.pre('validate', function (next) {
+  if (this.isModified('recipientID')) {
+    this.normalizedId = normalizeRecipientId(this.recipientID);
+    if (!this.normalizedId) this.invalidate('recipientID', 'Recipient ID must contain letters or digits');
+  }
+  next();
+});
+
+// Create indexes for better performance
+recipientSchema.index({ name: 'text', recipientID: 'text', department: 'text' });
+recipientSchema.index({ isActive: 1, type: 1, name: 1 });
+
+export default mongoose.model('Recipient', recipientSchema);
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Named permissions checked by requirePermission; each route needs one of these
+export const PERMISSIONS = [
+  'medicine:read',
+  'medicine:create',
+  'medicine:update',
+  'medicine:price',
+  'medicine:delete',
+  'stock:adjust',
+  'stock:approve',
+  'stock:count',
+  'issuance:read',
+  'issuance:create',
+  'issuance:reverse',
+  'issuance:delete',
+  'recipient:read',
+  'recipient:manage',
+  'supplier:read',
+  'supplier:manage',
+  'supplier:delete',
+  'purchase_order:read',
+  'purchase_order:manage',
+  'purchase_order:receive',
+  'report:read',
+  'report:financial',
+  'alert:read',
+  'alert:manage',
+  'dashboard:read',
+  'activity:read',
+  'user:manage',
+  'role:manage',
+  'api_key:manage',
+  'webhook:manage'
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter(permission => permission.endsWith(':read'));
+
+// Roles that always exist; custom roles are stored in the Role collection
+export const BUILT_IN_ROLES = {
+  Admin: {
+    description: 'Full access',
+    permissions: PERMISSIONS
+  },
+  Pharmacist: {
+    description: 'Day-to-day dispensing, stock and ordering',
+    permissions: [
+      'medicine:read', 'medicine:create', 'medicine:update',
+      'stock:adjust', 'stock:count',
+      'issuance:read', 'issuance:create', 'issuance:reverse',
+      'recipient:read', 'recipient:manage',
+      'supplier:read', 'supplier:manage',
+      'purchase_order:read', 'purchase_order:manage', 'purchase_order:receive',
+      'report:read', 'alert:read', 'dashboard:read'
+    ]
+  },
+  Auditor: {
+    description: 'Read-only access, including financial reports and activity logs',
+    permissions: [...READ_PERMISSIONS, 'report:financial']
+  },
+  'Store Keeper': {
+    description: 'Receives deliveries, counts and adjusts stock',
+    permissions: [
+      'medicine:read', 'stock:adjust', 'stock:count',
+      'supplier:read', 'purchase_order:read', 'purchase_order:receive',
+      'report:read', 'alert:read', 'dashboard:read'
+    ]
+  },
+  Prescriber: {
+    description: 'Looks up medicines and issues them to patients',
+    permissions: ['medicine:read', 'issuance:read', 'issuance:create', 'recipient:read', 'recipient:manage', 'alert:read', 'dashboard:read']
+  }
+};
+
+export const isBuiltInRole = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 50
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Custom roles can't take a built-in role's name
+roleSchema.pre('validate', function (next) {
+  if (isBuiltInRole(this.name)) {
+    this.invalidate('name', `${this.name} is a built-in role`);
+  }
+  next();
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export const roleExists = async (name) => isBuiltInRole(name) || Boolean(await Role.exists({ name }));
+
+export default Role;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// One per login. Holds the hash of the current refresh token; earlier ones are kept to spot reuse.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  // Where the session was started, and when and from where it was last used
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date
+  },
+  lastIpAddress: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'forced_logout', 'user_updated', 'revoked', 'admin_revoked']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create indexes for better performance
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+// Drop sessions a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('Session', sessionSchema);
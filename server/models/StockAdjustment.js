@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const ADJUSTMENT_REASONS = ['damaged', 'lost', 'expired_disposal', 'count_correction', 'donated_out'];
+
+// Reasons that can only take stock out; count corrections may go either way
+export const WRITE_OFF_REASONS = ['damaged', 'lost', 'expired_disposal', 'donated_out'];
+
+// Adjustments past either threshold need a second person even when the requester could approve
+// them; without stock:approve every adjustment waits
+const APPROVAL_QUANTITY = parseInt(process.env.ADJUSTMENT_APPROVAL_QUANTITY) || 50;
+const APPROVAL_VALUE = parseFloat(process.env.ADJUSTMENT_APPROVAL_VALUE) || 500;
+
+export const adjustmentNeedsApproval = ({ quantity, unitValue = 0 }, canApprove) => !canApprove ||
+  Math.abs(quantity) > APPROVAL_QUANTITY ||
+  Math.abs(quantity * unitValue) > APPROVAL_VALUE;
+
+const stockAdjustmentSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ADJUSTMENT_REASONS
+  },
+  // Signed: positive into stock, negative out of stock
+  quantity: {
+    type: Number,
+    required: true
+  },
+  // Unit value at the time of the adjustment, used for write-off reporting
+  unitValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  stockCountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockCount'
+  },
+  batches: [
+    {
+      batchId: mongoose.Schema.Types.ObjectId,
+      batchNumber: String,
+      expiryDate: Date,
+      quantity: Number
+    }
+  ],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Signed value of the adjustment (negative for write-offs)
+stockAdjustmentSchema.virtual('value').get(function () {
+  return Math.round(this.quantity * this.unitValue * 100) / 100;
+});
+
+stockAdjustmentSchema.set('toJSON', { virtuals: true });
+
+// Create indexes for better performance
+stockAdjustmentSchema.index({ medicineId: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ status: 1, reason: 1, createdAt: -1 });
+
+export default mongoose.model('StockAdjustment', stockAdjustmentSchema);
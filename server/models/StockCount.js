@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+const stockCountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'cancelled'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  lines: [
+    {
+      medicineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine',
+        required: true
+      },
+      name: String,
+      category: String,
+      shelf: String,
+      // Medicine.quantity when the count was opened
+      snapshotQuantity: {
+        type: Number,
+        required: true
+      },
+      // Medicine.quantity when the counted figure was entered; differs from the
+      // snapshot when stock moved (e.g. was issued) while the count was open
+      systemQuantity: {
+        type: Number
+      },
+      countedQuantity: {
+        type: Number,
+        min: 0
+      },
+      unitValue: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      countedAt: {
+        type: Date
+      },
+      adjustmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockAdjustment'
+      }
+    }
+  ],
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Variance per line in units and value; uncounted lines have none
+stockCountSchema.methods.varianceLines = function () {
+  return this.lines.map(line => {
+    const counted = line.countedQuantity !== undefined && line.countedQuantity !== null;
+    const variance = counted ? line.countedQuantity - line.systemQuantity : null;
+
+    return {
+      lineId: line._id,
+      medicineId: line.medicineId,
+      name: line.name,
+      category: line.category,
+      shelf: line.shelf,
+      snapshotQuantity: line.snapshotQuantity,
+      movedDuringCount: counted ? line.systemQuantity - line.snapshotQuantity : null,
+      systemQuantity: line.systemQuantity,
+      countedQuantity: counted ? line.countedQuantity : null,
+      variance,
+      varianceValue: counted ? Math.round(variance * line.unitValue * 100) / 100 : null,
+      adjustmentId: line.adjustmentId
+    };
+  });
+};
+
+stockCountSchema.methods.summary = function () {
+  const lines = this.varianceLines();
+  const counted = lines.filter(line => line.variance !== null);
+  const withVariance = counted.filter(line => line.variance !== 0);
+
+  return {
+    totalLines: lines.length,
+    countedLines: counted.length,
+    uncountedLines: lines.length - counted.length,
+    varianceLines: withVariance.length,
+    netVarianceUnits: withVariance.reduce((sum, line) => sum + line.variance, 0),
+    netVarianceValue: Math.round(withVariance.reduce((sum, line) => sum + line.varianceValue, 0) * 100) / 100,
+    shortageValue: Math.round(withVariance.filter(line => line.variance < 0).reduce((sum, line) => sum + line.varianceValue, 0) * 100) / 100,
+    surplusValue: Math.round(withVariance.filter(line => line.variance > 0).reduce((sum, line) => sum + line.varianceValue, 0) * 100) / 100
+  };
+};
+
+// Create indexes for better performance
+stockCountSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('StockCount', stockCountSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const stockMovementSchema = new mongoose.Schema({
+  medicineId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medicine',
+    required: true
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['receipt', 'issue', 'return', 'adjustment', 'transfer']
+  },
+  // Signed: positive into stock, negative out of stock
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0
+  },
+  referenceType: {
+    type: String,
+    enum: ['Issuance', 'Medicine', 'StockAdjustment', 'PurchaseOrder']
+  },
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+stockMovementSchema.index({ medicineId: 1, occurredAt: 1 });
+stockMovementSchema.index({ type: 1, occurredAt: -1 });
+stockMovementSchema.index({ referenceType: 1, referenceId: 1 });
+
+export default mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Short-lived feed behind GET /api/stream. Every instance watches this collection; clients
+// reconnecting with Last-Event-ID replay its inserts from the oplog.
+const streamEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['alert', 'stock', 'issuance'],
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 1 day from now
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+streamEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('StreamEvent', streamEventSchema);
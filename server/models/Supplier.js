@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// Company-name endings ignored when matching suppliers, so "Medico Ltd" and "medico" are one supplier
+const NAME_SUFFIXES = ['ltd', 'limited', 'inc', 'incorporated', 'llc', 'plc', 'co', 'company', 'corp', 'corporation', 'gmbh'];
+
+export const normalizeSupplierName = (name = '') => {
+  const words = name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length > 1 && NAME_SUFFIXES.includes(words[words.length - 1])) {
+    words.pop();
+  }
+
+  return words.join(' ');
+};
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  normalizedName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: 7
+  },
+  paymentTerms: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.pre('validate', function (next) {
+  if (this.isModified('name')) {
+    this.normalizedName = normalizeSupplierName(this.name);
+  }
+  next();
+});
+
+// Create indexes for better performance
+supplierSchema.index({ name: 'text' });
+supplierSchema.index({ isActive: 1, name: 1 });
+
+export default mongoose.model('Supplier', supplierSchema);
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ALERT_TYPES, ALERT_SEVERITIES } from './Alert.js';
+
+const USER_ALERT_TYPES = ['user_added', 'user_updated', 'user_deleted', 'account_locked', 'suspicious_login'];
+
+// Alert subscriptions each role starts with (custom roles use Pharmacist's); an empty category list means every category
+export const ROLE_ALERT_DEFAULTS = {
+  Admin: { types: ALERT_TYPES, severities: ALERT_SEVERITIES, categories: [] },
+  Pharmacist: { types: ALERT_TYPES.filter(type => !USER_ALERT_TYPES.includes(type)), severities: ALERT_SEVERITIES, categories: [] },
+  Auditor: { types: ALERT_TYPES, severities: ['warning', 'danger'], categories: [] },
+  'Store Keeper': { types: ALERT_TYPES.filter(type => !USER_ALERT_TYPES.includes(type)), severities: ALERT_SEVERITIES, categories: [] },
+  Prescriber: { types: ['stock_low', 'medicine_expiring', 'medicine_expired'], severities: ALERT_SEVERITIES, categories: [] }
+};
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,9 +32,10 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // A built-in role or the name of a custom Role
   role: {
     type: String,
-    enum: ['Admin', 'Pharmacist'],
+    trim: true,
     default: 'Pharmacist'
   },
   isActive: {
@@ -31,6 +44,70 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set by an admin; the user must change their password before doing anything else
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP two-factor authentication; secrets and backup codes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrolment until the first code is verified
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodeHashes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Bumped to invalidate every access token issued before (forced logout)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Unset lists fall back to the role's defaults
+  alertPreferences: {
+    types: {
+      type: [{ type: String, enum: ALERT_TYPES }],
+      default: undefined
+    },
+    severities: {
+      type: [{ type: String, enum: ALERT_SEVERITIES }],
+      default: undefined
+    },
+    categories: {
+      type: [{ type: String, trim: true }],
+      default: undefined
+    },
+    emailCritical: {
+      type: Boolean,
+      default: true
+    },
+    emailDigest: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
@@ -54,6 +131,18 @@ userSchema.methods.comparePassword = async function(password) {
   return bcrypt.compare(password, this.password);
 };
 
+// Effective alert subscription: the user's own choices over the role's defaults
+userSchema.methods.alertSubscription = function() {
+  const defaults = ROLE_ALERT_DEFAULTS[this.role] || ROLE_ALERT_DEFAULTS.Pharmacist;
+  const preferences = this.alertPreferences || {};
+
+  return {
+    types: preferences.types || defaults.types,
+    severities: preferences.severities || defaults.severities,
+    categories: preferences.categories || defaults.categories
+  };
+};
+
 // Hide password when converting to JSON
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'medicine.added',
+  'medicine.updated',
+  'medicine.deleted',
+  'medicine.restocked',
+  'medicine.expiring',
+  'medicine.expired',
+  'stock.low',
+  'issuance.created',
+  'issuance.returned',
+  'alert.created',
+  'user.added',
+  'user.updated',
+  'user.deleted'
+];
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  // '*' subscribes to every event
+  events: {
+    type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Signing key for the X-APMS-Signature header; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+export default mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// One event sent to one webhook, with every attempt made to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Same for every webhook receiving the event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [
+    {
+      attemptedAt: {
+        type: Date,
+        default: Date.now
+      },
+      responseStatus: {
+        type: Number
+      },
+      responseBody: {
+        type: String,
+        maxlength: 1000
+      },
+      error: {
+        type: String
+      },
+      durationMs: {
+        type: Number
+      }
+    }
+  ],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the instance currently sending
+  lockedUntil: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes for better performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
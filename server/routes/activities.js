@@ -1,17 +1,18 @@
 import express from 'express';
 import { query, validationResult } from 'express-validator';
 import ActivityLog from '../models/ActivityLog.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Get activity logs (Admin only)
-router.get('/', authenticateToken, requireAdmin, [
+// Get activity logs
+router.get('/', authenticateToken, requirePermission('activity:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
   query('actionType').optional().isString().withMessage('Action type must be a string'),
   query('entityType').optional().isString().withMessage('Entity type must be a string'),
   query('userId').optional().isMongoId().withMessage('Valid user ID required'),
+  query('apiKeyId').optional().isMongoId().withMessage('Valid API key ID required'),
   query('startDate').optional().isISO8601().withMessage('Valid start date required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date required')
 ], async (req, res) => {
@@ -27,6 +28,7 @@ router.get('/', authenticateToken, requireAdmin, [
       actionType,
       entityType,
       userId,
+      apiKeyId,
       startDate,
       endDate
     } = req.query;
@@ -46,6 +48,10 @@ router.get('/', authenticateToken, requireAdmin, [
       query.performedBy = userId;
     }
 
+    if (apiKeyId) {
+      query.apiKeyId = apiKeyId;
+    }
+
     if (startDate || endDate) {
       query.createdAt = {};
       if (startDate) query.createdAt.$gte = new Date(startDate);
@@ -56,6 +62,7 @@ router.get('/', authenticateToken, requireAdmin, [
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const activities = await ActivityLog.find(query)
       .populate('performedBy', 'name role')
+      .populate('apiKeyId', 'name prefix')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -1,17 +1,24 @@
 import express from 'express';
-import { query, validationResult } from 'express-validator';
-import Alert from '../models/Alert.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { body, query, validationResult } from 'express-validator';
+import Alert, { alertTypesFor } from '../models/Alert.js';
+import User from '../models/User.js';
+import { authenticateToken, requirePermission, getPermissions } from '../middleware/auth.js';
+import EmailOutbox from '../models/EmailOutbox.js';
+import { runStockAlertScan, sendAlertDigests, subscriptionFilter, subscribedUsers, STOCK_ALERT_SCAN_JOB, ALERT_DIGEST_JOB } from '../middleware/alertService.js';
+import { isMailEnabled } from '../middleware/mailer.js';
+import { runWithJobLock, getJobStatus, nextDailyRun } from '../middleware/scheduler.js';
+import { logActivity } from '../middleware/logging.js';
 
 const router = express.Router();
 
 // Get all alerts for current user
-router.get('/', authenticateToken, [
+router.get('/', authenticateToken, requirePermission('alert:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
   query('type').optional().isString().withMessage('Type must be a string'),
   query('severity').optional().isIn(['info', 'warning', 'danger', 'success']).withMessage('Invalid severity'),
-  query('isRead').optional().isBoolean().withMessage('IsRead must be a boolean')
+  query('isRead').optional().isBoolean().withMessage('IsRead must be a boolean'),
+  query('status').optional().isIn(['open', 'resolved']).withMessage('Status must be open or resolved')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -24,11 +31,13 @@ router.get('/', authenticateToken, [
       limit = 20,
       type,
       severity,
-      isRead
+      isRead,
+      status
     } = req.query;
 
-    // Build query
-    const query = { isActive: true };
+    // Build query; only alerts the user is subscribed to
+    const visible = { isActive: true, $and: [subscriptionFilter(req.user, await getPermissions(req))] };
+    const query = { ...visible };
 
     if (type) {
       query.type = type;
@@ -39,23 +48,35 @@ router.get('/', authenticateToken, [
     }
 
     if (isRead !== undefined) {
-      query.isRead = isRead === 'true';
+      query['readBy.user'] = isRead === 'true' ? req.user._id : { $ne: req.user._id };
+    }
+
+    // Only condition alerts (low stock, expiry) carry a status; events have none
+    if (status) {
+      query.status = status;
     }
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const alerts = await Alert.find(query)
       .populate('triggeredBy', 'name role')
-      .sort({ createdAt: -1 })
+      .populate('resolvedBy', 'name role')
+      .sort({ lastTriggeredAt: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
     const total = await Alert.countDocuments(query);
-    const unreadCount = await Alert.countDocuments({ isActive: true, isRead: false });
+    const unreadCount = await Alert.countDocuments({ ...visible, 'readBy.user': { $ne: req.user._id } });
+    const unacknowledgedCount = await Alert.countDocuments({ ...visible, severity: 'danger', 'acknowledgements.user': { $ne: req.user._id } });
+    const openCount = await Alert.countDocuments({ ...visible, status: 'open' });
+    const resolvedCount = await Alert.countDocuments({ ...visible, status: 'resolved' });
 
     res.json({
-      alerts,
+      alerts: alerts.map(alert => ({ ...alert.toJSON(), ...alert.stateFor(req.user._id) })),
       unreadCount,
+      unacknowledgedCount,
+      openCount,
+      resolvedCount,
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / parseInt(limit)),
@@ -69,32 +90,128 @@ router.get('/', authenticateToken, [
   }
 });
 
-// Mark alert as read
-router.patch('/:id/read', authenticateToken, async (req, res) => {
+// Run the expiry and low-stock scan now
+router.post('/scan', authenticateToken, requirePermission('alert:manage'), async (req, res) => {
   try {
-    const alert = await Alert.findByIdAndUpdate(
-      req.params.id,
-      { isRead: true },
-      { new: true }
-    );
+    const run = await runWithJobLock(STOCK_ALERT_SCAN_JOB, () => runStockAlertScan(req.user._id));
+    if (run.skipped) {
+      return res.status(409).json({ message: 'A stock alert scan is already running' });
+    }
 
-    if (!alert) {
+    res.json({ message: 'Stock alert scan completed', result: run.result });
+  } catch (error) {
+    console.error('Stock alert scan error:', error);
+    res.status(500).json({ message: 'Failed to run stock alert scan' });
+  }
+});
+
+// Last-run status of the stock alert scan
+router.get('/scan/status', authenticateToken, requirePermission('alert:manage'), async (req, res) => {
+  try {
+    const scanTime = process.env.ALERT_SCAN_TIME || '06:00';
+    const enabled = process.env.ALERT_SCAN_ENABLED !== 'false';
+    const status = await getJobStatus(STOCK_ALERT_SCAN_JOB);
+
+    res.json({
+      enabled,
+      scanTime,
+      nextRunAt: enabled ? nextDailyRun(scanTime) : null,
+      ...(status || { lastRunAt: null, lastStatus: null })
+    });
+  } catch (error) {
+    console.error('Get stock alert scan status error:', error);
+    res.status(500).json({ message: 'Failed to fetch scan status' });
+  }
+});
+
+// Queue the daily digest emails now
+router.post('/digest', authenticateToken, requirePermission('alert:manage'), async (req, res) => {
+  try {
+    if (!isMailEnabled()) {
+      return res.status(400).json({ message: 'Email is not configured (set SMTP_HOST)' });
+    }
+
+    const run = await runWithJobLock(ALERT_DIGEST_JOB, () => sendAlertDigests());
+    if (run.skipped) {
+      return res.status(409).json({ message: 'Digest emails are already being sent' });
+    }
+
+    res.json({ message: 'Digest emails queued', result: run.result });
+  } catch (error) {
+    console.error('Send alert digest error:', error);
+    res.status(500).json({ message: 'Failed to send digest emails' });
+  }
+});
+
+// Email outbox
+router.get('/email-outbox', authenticateToken, requirePermission('alert:manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const query = status ? { status } : {};
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const emails = await EmailOutbox.find(query, '-html -text')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await EmailOutbox.countDocuments(query);
+
+    res.json({
+      enabled: isMailEnabled(),
+      emails,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get email outbox error:', error);
+    res.status(500).json({ message: 'Failed to fetch email outbox' });
+  }
+});
+
+// Mark alert as read for the current user
+router.patch('/:id/read', authenticateToken, requirePermission('alert:read'), async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id);
+    if (!alert || !alert.isActive || !alertTypesFor(await getPermissions(req)).includes(alert.type)) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    res.json(alert);
+    if (alert.requiresAcknowledgement) {
+      return res.status(400).json({ message: 'Critical alerts must be acknowledged with a comment' });
+    }
+
+    if (!alert.stateFor(req.user._id).isRead) {
+      alert.readBy.push({ user: req.user._id });
+      await alert.save();
+    }
+
+    res.json({ ...alert.toJSON(), ...alert.stateFor(req.user._id) });
   } catch (error) {
     console.error('Mark alert as read error:', error);
     res.status(500).json({ message: 'Failed to mark alert as read' });
   }
 });
 
-// Mark all alerts as read
-router.patch('/mark-all-read', authenticateToken, async (req, res) => {
+// Mark all alerts as read for the current user; critical alerts still need acknowledging
+router.patch('/mark-all-read', authenticateToken, requirePermission('alert:read'), async (req, res) => {
   try {
     await Alert.updateMany(
-      { isActive: true, isRead: false },
-      { isRead: true }
+      { isActive: true, severity: { $ne: 'danger' }, 'readBy.user': { $ne: req.user._id } },
+      { $push: { readBy: { user: req.user._id, readAt: new Date() } } }
     );
 
     res.json({ message: 'All alerts marked as read' });
@@ -104,8 +221,77 @@ router.patch('/mark-all-read', authenticateToken, async (req, res) => {
   }
 });
 
+// Acknowledge a critical alert; also marks it read
+router.post('/:id/acknowledge', authenticateToken, requirePermission('alert:read'), [
+  body('comment').trim().isLength({ min: 1, max: 500 }).withMessage('Comment required (max 500 chars)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await Alert.findById(req.params.id);
+    if (!alert || !alert.isActive || !alertTypesFor(await getPermissions(req)).includes(alert.type)) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    if (!alert.requiresAcknowledgement) {
+      return res.status(400).json({ message: 'Only critical alerts need acknowledging' });
+    }
+
+    const state = alert.stateFor(req.user._id);
+    if (state.isAcknowledged) {
+      return res.status(400).json({ message: 'Alert already acknowledged' });
+    }
+
+    const now = new Date();
+    alert.acknowledgements.push({ user: req.user._id, comment: req.body.comment, acknowledgedAt: now });
+    if (!state.isRead) alert.readBy.push({ user: req.user._id, readAt: now });
+    await alert.save();
+
+    await logActivity('Acknowledge', 'Alert', alert._id, req.user._id, `Acknowledged alert "${alert.title}": ${req.body.comment}`, null, null, req);
+
+    res.json({ ...alert.toJSON(), ...alert.stateFor(req.user._id) });
+  } catch (error) {
+    console.error('Acknowledge alert error:', error);
+    res.status(500).json({ message: 'Failed to acknowledge alert' });
+  }
+});
+
+// Who has read and acknowledged an alert, and which subscribed staff haven't seen it
+router.get('/:id/receipts', authenticateToken, requirePermission('alert:manage'), async (req, res) => {
+  try {
+    const alert = await Alert.findById(req.params.id)
+      .populate('readBy.user', 'name email role')
+      .populate('acknowledgements.user', 'name email role');
+
+    if (!alert || !alert.isActive) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+
+    const seenIds = alert.readBy.filter(entry => entry.user).map(entry => entry.user._id);
+    const unseenUsers = await User.find({ isActive: true, _id: { $nin: seenIds } }, 'name email role alertPreferences');
+    const notSeen = (await subscribedUsers(unseenUsers, alert))
+      .map(({ _id, name, email, role }) => ({ _id, name, email, role }));
+
+    res.json({
+      alertId: alert._id,
+      title: alert.title,
+      severity: alert.severity,
+      requiresAcknowledgement: alert.requiresAcknowledgement,
+      readBy: alert.readBy,
+      acknowledgements: alert.acknowledgements,
+      notSeen
+    });
+  } catch (error) {
+    console.error('Get alert receipts error:', error);
+    res.status(500).json({ message: 'Failed to fetch alert receipts' });
+  }
+});
+
 // Delete alert
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('alert:manage'), async (req, res) => {
   try {
     const alert = await Alert.findByIdAndUpdate(
       req.params.id,
@@ -125,16 +311,17 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get alert details
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('alert:read'), async (req, res) => {
   try {
     const alert = await Alert.findById(req.params.id)
-      .populate('triggeredBy', 'name role email');
+      .populate('triggeredBy', 'name role email')
+      .populate('resolvedBy', 'name role email');
 
-    if (!alert || !alert.isActive) {
+    if (!alert || !alert.isActive || !alertTypesFor(await getPermissions(req)).includes(alert.type)) {
       return res.status(404).json({ message: 'Alert not found' });
     }
 
-    res.json(alert);
+    res.json({ ...alert.toJSON(), ...alert.stateFor(req.user._id) });
   } catch (error) {
     console.error('Get alert details error:', error);
     res.status(500).json({ message: 'Failed to fetch alert details' });
@@ -0,0 +1,138 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { PERMISSIONS } from '../models/Role.js';
+import { authenticateToken, requirePermission, getPermissions, permissionsForRole } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { API_KEY_MAX_DAYS, createApiKey } from '../middleware/apiKeyService.js';
+
+const router = express.Router();
+
+// Get API keys
+router.get('/', authenticateToken, requirePermission('api_key:manage'), [
+  query('ownerId').optional().isMongoId().withMessage('Valid owner ID required'),
+  query('status').optional().isIn(['active', 'expired', 'revoked']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { ownerId, status } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (ownerId) query.ownerId = ownerId;
+    if (status === 'revoked') query.revokedAt = { $ne: null };
+    if (status === 'expired') Object.assign(query, { revokedAt: null, expiresAt: { $lte: now } });
+    if (status === 'active') Object.assign(query, { revokedAt: null, expiresAt: { $gt: now } });
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('ownerId', 'name email role')
+      .populate('createdBy', 'name')
+      .populate('revokedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({ apiKeys, scopes: PERMISSIONS });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Failed to fetch API keys' });
+  }
+});
+
+// Get single API key
+router.get('/:id', authenticateToken, requirePermission('api_key:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('ownerId', 'name email role')
+      .populate('createdBy', 'name')
+      .populate('revokedBy', 'name');
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({ message: 'Failed to fetch API key' });
+  }
+});
+
+// Issue a key. The key itself is only returned in this response.
+router.post('/', authenticateToken, requirePermission('api_key:manage'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name required (max 100 chars)'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(PERMISSIONS).withMessage('Invalid scope'),
+  body('ownerId').optional().isMongoId().withMessage('Valid owner ID required'),
+  body('expiresInDays').optional().isInt({ min: 1, max: API_KEY_MAX_DAYS }).withMessage(`Expiry must be 1-${API_KEY_MAX_DAYS} days`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, ownerId = req.user._id, expiresInDays = Math.min(90, API_KEY_MAX_DAYS) } = req.body;
+
+    const owner = await User.findById(ownerId);
+    if (!owner || !owner.isActive) {
+      return res.status(400).json({ message: 'Owner not found' });
+    }
+
+    // Scopes have to be held by both the owner and whoever issues the key
+    const issuerPermissions = await getPermissions(req);
+    const ownerPermissions = await permissionsForRole(owner.role);
+    const notHeld = scopes.filter(scope => !issuerPermissions.includes(scope) || !ownerPermissions.includes(scope));
+    if (notHeld.length) {
+      return res.status(403).json({ message: 'Scopes exceed the permissions of the owner or issuer', scopes: notHeld });
+    }
+
+    const { apiKey, rawKey } = await createApiKey({
+      name,
+      scopes,
+      ownerId: owner._id,
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id
+    });
+
+    await logActivity('Add', 'ApiKey', apiKey._id, req.user._id, `Issued API key ${apiKey.name} (${apiKey.prefix}) for ${owner.name}`, null, { name, scopes: apiKey.scopes, ownerId: owner._id, expiresAt: apiKey.expiresAt }, req);
+
+    res.status(201).json({
+      message: 'API key created. Store it now; it is not shown again.',
+      key: rawKey,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Failed to create API key' });
+  }
+});
+
+// Revoke a key; requests using it are refused from now on
+router.delete('/:id', authenticateToken, requirePermission('api_key:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await logActivity('Delete', 'ApiKey', apiKey._id, req.user._id, `Revoked API key ${apiKey.name} (${apiKey.prefix})`, null, { revokedAt: apiKey.revokedAt }, req);
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Failed to revoke API key' });
+  }
+});
+
+export default router;
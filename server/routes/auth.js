@@ -1,19 +1,76 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { roleExists } from '../models/Role.js';
+import { authenticateToken, requirePermission, canGrantRole, getPermissions, permissionsForRole } from '../middleware/auth.js';
 import { logActivity } from '../middleware/logging.js';
-import { createUserAlert } from '../middleware/alertService.js';
+import { createUserAlert, raiseConditionAlert, resolveConditionAlerts } from '../middleware/alertService.js';
+import { checkLoginAllowed, recordLoginFailure, clearLoginFailures } from '../middleware/loginThrottle.js';
+import { emitWebhookEvent, userPayload } from '../middleware/webhookService.js';
+import Session from '../models/Session.js';
+import { TokenError, issueTokens, rotateRefreshToken, revokeSession, revokeUserSessions, signAccessToken, sessionView } from '../middleware/tokenService.js';
+import { RESET_TOKEN_TTL_MINUTES, createPasswordResetToken, consumePasswordResetToken, resetLink, setPassword } from '../middleware/passwordService.js';
+import { isMailEnabled, queueEmail } from '../middleware/mailer.js';
+import { passwordResetEmail } from '../middleware/emailTemplates.js';
+import { findPendingInvitation, acceptInvitation } from '../middleware/invitationService.js';
+import { runWithJobLock } from '../middleware/scheduler.js';
+import { runInTransaction } from '../middleware/stockService.js';
+import {
+  needsTwoFactorEnrolment,
+  twoFactorRequiredFor,
+  createEnrolment,
+  verifyTotp,
+  claimTotpStep,
+  generateBackupCodes,
+  consumeBackupCode,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from '../middleware/twoFactor.js';
 
 const router = express.Router();
 
-// Register (Admin only can create new users)
-router.post('/register', [
+const BOOTSTRAP_JOB = 'bootstrap-admin';
+
+// Count the failure, log it, and alert admins when an account locks or an IP looks like an attack
+const handleFailedLogin = async (email, user, reason, req) => {
+  const result = await recordLoginFailure(email, req.ip);
+
+  await logActivity(
+    'Login Failed',
+    user ? 'User' : 'System',
+    user ? user._id : result.ipThrottle._id,
+    user?._id,
+    `Failed login for ${email}: ${reason}`,
+    null,
+    { email, reason, failures: result.failures },
+    req
+  );
+
+  if (result.accountLocked) {
+    await raiseConditionAlert(`login_lockout:${email}`, {
+      type: 'account_locked',
+      title: 'Account Locked',
+      message: `${email} was locked until ${result.lockedUntil.toLocaleTimeString()} after ${result.failures} failed logins (last from ${req.ip})`,
+      severity: 'danger'
+    }, user ? 'User' : 'System', user ? user._id : result.ipThrottle._id, null);
+  }
+
+  if (result.ipSuspicious) {
+    await raiseConditionAlert(`login_ip:${req.ip}`, {
+      type: 'suspicious_login',
+      title: 'Suspicious Login Activity',
+      message: `${result.ipThrottle.failures} failed logins for ${result.ipThrottle.emails.length} accounts from ${req.ip}`,
+      severity: 'warning'
+    }, 'System', result.ipThrottle._id, null);
+  }
+};
+
+// Register a user directly (needs user:manage); invitations let people choose their own password instead
+router.post('/register', authenticateToken, requirePermission('user:manage'), [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['Admin', 'Pharmacist']).withMessage('Invalid role')
+  body('role').isString().trim().notEmpty().withMessage('Role required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -23,6 +80,13 @@ router.post('/register', [
 
     const { name, email, password, role } = req.body;
 
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!(await canGrantRole(req, role))) {
+      return res.status(403).json({ message: 'Cannot create a user with more permissions than your own' });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -33,24 +97,12 @@ router.post('/register', [
     const user = new User({ name, email, password, role });
     await user.save();
 
-    // Get the current user from token if available
-    let currentUserId = user._id; // Default to the new user's ID
-    const authHeader = req.headers['authorization'];
-    if (authHeader) {
-      try {
-        const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        currentUserId = decoded.userId;
-      } catch (error) {
-        // If token is invalid, use the new user's ID
-      }
-    }
-
     // Log activity
-    await logActivity('Add', 'User', user._id, currentUserId, `New ${role} user created: ${name}`, null, { name, email, role }, req);
+    await logActivity('Add', 'User', user._id, req.user._id, `New ${role} user created: ${name}`, null, { name, email, role }, req);
 
     // Create alert
-    await createUserAlert('added', name, user._id, currentUserId);
+    await createUserAlert('added', name, user._id, req.user._id);
+    await emitWebhookEvent('user.added', userPayload(user));
 
     res.status(201).json({
       message: 'User created successfully',
@@ -67,7 +119,190 @@ router.post('/register', [
   }
 });
 
-// Login
+// First run: whether the initial admin still has to be created
+router.get('/bootstrap', async (req, res) => {
+  try {
+    res.json({ required: (await User.countDocuments()) === 0 });
+  } catch (error) {
+    console.error('Bootstrap status error:', error);
+    res.status(500).json({ message: 'Failed to check bootstrap status' });
+  }
+});
+
+// First run: create the initial admin. Only works while there are no users at all.
+router.post('/bootstrap', [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, password } = req.body;
+
+    // The lock stops two simultaneous requests from both creating an admin
+    let user = null;
+    const { skipped } = await runWithJobLock(BOOTSTRAP_JOB, async () => {
+      if (await User.exists({})) return { created: false };
+
+      user = new User({ name, email, password, role: 'Admin' });
+      await user.save();
+      return { created: true, userId: user._id };
+    }, { ttlMs: 60 * 1000 });
+
+    if (skipped || !user) {
+      return res.status(403).json({ message: 'Setup has already been completed' });
+    }
+
+    await logActivity('Add', 'User', user._id, user._id, `Initial admin created: ${name}`, null, { name, email, role: 'Admin' }, req);
+
+    res.status(201).json({
+      message: 'Initial admin created. Please log in.',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Bootstrap error:', error);
+    res.status(500).json({ message: 'Failed to create initial admin' });
+  }
+});
+
+// Look up an invitation before accepting it
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ message: 'Failed to fetch invitation' });
+  }
+});
+
+// Accept an invitation: creates the account with the invitee's own password
+router.post('/accept-invitation', [
+  body('token').isString().notEmpty().withMessage('Invitation token required'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const invitation = await findPendingInvitation(req.body.token);
+    if (!invitation) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({ message: 'Name required' });
+    }
+
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(400).json({ message: 'User with this email already exists' });
+    }
+
+    const user = await runInTransaction(async (session) => {
+      const claimed = await acceptInvitation(invitation, session);
+      if (!claimed) return null;
+
+      const created = new User({ name, email: invitation.email, password: req.body.password, role: invitation.role });
+      await created.save({ session });
+
+      claimed.userId = created._id;
+      await claimed.save({ session });
+      return created;
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    await logActivity('Add', 'User', user._id, invitation.invitedBy, `New ${user.role} user joined by invitation: ${user.name}`, null, { name: user.name, email: user.email, role: user.role }, req);
+
+    await createUserAlert('added', user.name, user._id, invitation.invitedBy);
+    await emitWebhookEvent('user.added', userPayload(user));
+
+    res.status(201).json({
+      message: 'Account created. Please log in.',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'User with this email already exists' : 'Failed to accept invitation' });
+  }
+});
+
+// Turn away locked accounts and IPs, and retries inside the back-off delay; true when blocked
+const rejectThrottledLogin = async (email, req, res) => {
+  const gate = await checkLoginAllowed(email, req.ip);
+  if (gate.allowed) return false;
+
+  res.set('Retry-After', String(gate.retryAfter));
+  res.status(429).json({
+    message: gate.locked ? 'Too many failed logins; try again later' : 'Please wait before trying again',
+    retryAfter: gate.retryAfter
+  });
+  return true;
+};
+
+// Final step of every login: reset failure tracking and start a session
+const completeLogin = async (user, req, method) => {
+  await clearLoginFailures(user.email);
+  await resolveConditionAlerts({ dedupeKey: `login_lockout:${user.email}` }, 'Signed in successfully', user._id);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Short-lived access token plus a refresh token for this session
+  const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+  // Log activity
+  await logActivity('Login', 'User', user._id, user._id, `User logged in: ${user.name}${method ? ` (${method})` : ''}`, null, null, req);
+
+  return {
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: await permissionsForRole(user.role),
+      lastLogin: user.lastLogin,
+      mustChangePassword: user.mustChangePassword,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorEnrolmentRequired: needsTwoFactorEnrolment(user)
+    }
+  };
+};
+
+// Login. With 2FA enabled this only checks the password and returns a challenge for /login/2fa.
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').notEmpty().withMessage('Password required')
@@ -80,64 +315,371 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    if (await rejectThrottledLogin(email, req, res)) return;
+
     // Find user
     const user = await User.findOne({ email });
     if (!user || !user.isActive) {
+      await handleFailedLogin(email, user, user ? 'inactive account' : 'unknown account', req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await handleFailedLogin(email, user, 'wrong password', req);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    if (user.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user) });
+    }
+
+    res.json(await completeLogin(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Login failed' });
+  }
+});
+
+// Second login step: an authenticator code or one of the backup codes
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('backupCode').optional().isString().withMessage('Backup code must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+    if (!code && !backupCode) {
+      return res.status(400).json({ message: 'Code or backup code required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired; log in again' });
+    }
+
+    const user = await User.findById(challenge.userId)
+      .select('+twoFactor.secret +twoFactor.backupCodeHashes +twoFactor.lastUsedStep');
+    if (!user || !user.isActive || !user.twoFactor?.enabled || (challenge.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired; log in again' });
+    }
+
+    if (await rejectThrottledLogin(user.email, req, res)) return;
+
+    // Codes are consumed with atomic updates, not by saving user, so two parallel requests can't both use one
+    let method;
+    if (code) {
+      const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+      if (step !== null && await claimTotpStep(user._id, step)) {
+        method = '2FA';
+      }
+    } else if (await consumeBackupCode(user._id, backupCode)) {
+      method = `2FA backup code, ${(user.twoFactor.backupCodeHashes?.length || 1) - 1} left`;
+    }
+
+    if (!method) {
+      await handleFailedLogin(user.email, user, 'wrong two-factor code', req);
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    res.json(await completeLogin(user, req, method));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Login failed' });
+  }
+});
+
+// Start 2FA enrolment: a new secret to scan, confirmed with /2fa/enable
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createEnrolment(req.user);
+    req.user.set('twoFactor.pendingSecret', secret);
+    await req.user.save();
+
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrolment with a code from the app; returns backup codes once
+router.post('/2fa/enable', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: 'Start setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.set('twoFactor', {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      backupCodeHashes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    });
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '6h' }
-    );
+    await logActivity('Update', 'User', user._id, user._id, `Two-factor authentication enabled: ${user.name}`, null, null, req);
 
-    // Log activity
-    await logActivity('Login', 'User', user._id, user._id, `User logged in: ${user.name}`, null, null, req);
+    res.json({ message: 'Two-factor authentication enabled', backupCodes: codes });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Replace the backup codes; needs a current authenticator code
+router.post('/2fa/backup-codes', authenticateToken, [
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
 
+    const step = verifyTotp(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep);
+    if (step === null || !(await claimTotpStep(user._id, step))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactor.backupCodeHashes = hashes;
+    await user.save();
+
+    await logActivity('Update', 'User', user._id, user._id, `Two-factor backup codes regenerated: ${user.name}`, null, null, req);
+
+    res.json({ backupCodes: codes });
+  } catch (error) {
+    console.error('Two-factor backup codes error:', error);
+    res.status(500).json({ message: 'Failed to regenerate backup codes' });
+  }
+});
+
+// Turn 2FA off; needs the password and a current code, and isn't allowed where the role requires 2FA
+router.post('/2fa/disable', authenticateToken, [
+  body('password').notEmpty().withMessage('Password required'),
+  body('code').isString().notEmpty().withMessage('Code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (twoFactorRequiredFor(user)) {
+      return res.status(400).json({ message: `Two-factor authentication is required for the ${user.role} role` });
+    }
+
+    const step = await user.comparePassword(req.body.password)
+      ? verifyTotp(user.twoFactor.secret, req.body.code, user.twoFactor.lastUsedStep)
+      : null;
+    if (step === null || !(await claimTotpStep(user._id, step))) {
+      return res.status(400).json({ message: 'Invalid password or two-factor code' });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+
+    await logActivity('Update', 'User', user._id, user._id, `Two-factor authentication disabled: ${user.name}`, null, null, req);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Get current user
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
     res.json({
-      token,
       user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin
+        id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        role: req.user.role,
+        permissions: await getPermissions(req),
+        lastLogin: req.user.lastLogin,
+        mustChangePassword: req.user.mustChangePassword,
+        twoFactorEnabled: Boolean(req.user.twoFactor?.enabled),
+        twoFactorEnrolmentRequired: needsTwoFactorEnrolment(req.user)
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Login failed' });
+    console.error('Get user error:', error);
+    res.status(500).json({ message: 'Failed to fetch user' });
   }
 });
 
-// Get current user
-router.get('/me', authenticateToken, async (req, res) => {
-  res.json({
-    user: {
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.user.role,
-      lastLogin: req.user.lastLogin
+// Change own password; other sessions are signed out, this one gets a fresh access token
+router.post('/change-password', authenticateToken, [
+  body('currentPassword').notEmpty().withMessage('Current password required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  });
+
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must differ from the current one' });
+    }
+
+    setPassword(user, newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, 'revoked', req.sessionId);
+
+    await logActivity('Update', 'User', user._id, user._id, `Password changed: ${user.name}`, null, null, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token: req.sessionId ? signAccessToken(user, req.sessionId) : null
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Failed to change password' });
+  }
 });
 
-// Logout
+// Request a reset email. Always answers the same way so it can't be used to probe for accounts.
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive && isMailEnabled()) {
+      const token = await createPasswordResetToken(user, { ipAddress: req.ip });
+      const content = passwordResetEmail(user.name, resetLink(token), token, RESET_TOKEN_TTL_MINUTES);
+      await queueEmail({ ...content, to: user.email, kind: 'password_reset', userId: user._id });
+
+      await logActivity('Update', 'User', user._id, user._id, `Password reset requested: ${user.name}`, null, null, req);
+    }
+
+    res.json({ message: 'If the account exists, a reset link has been sent. Otherwise ask an administrator to reset your password.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password with a reset token; signs the user out everywhere
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const resetToken = await consumePasswordResetToken(req.body.token);
+    if (!resetToken) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    setPassword(user, req.body.newPassword);
+    await user.save();
+    await revokeUserSessions(user._id, 'revoked');
+
+    await logActivity('Update', 'User', user._id, user._id, `Password reset completed: ${user.name}`, null, { requestedBy: resetToken.requestedBy || user._id }, req);
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Failed to reset password' });
+  }
+});
+
+// Exchange a refresh token for a new token pair; each refresh token works once
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken, expiresIn, session } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({ token, refreshToken, expiresIn, sessionId: session._id });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      const session = error.reusedSession;
+      if (session) {
+        await logActivity('Logout', 'User', session.userId, session.userId, 'Session revoked: refresh token reuse detected', null, { sessionId: session._id }, req);
+      }
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Token refresh failed' });
+  }
+});
+
+// Logout; revokes the session's refresh token
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    const session = req.sessionId && await Session.findOne({ _id: req.sessionId, userId: req.user._id });
+    if (session) await revokeSession(session, 'logout');
+
     // Log activity
     await logActivity('Logout', 'User', req.user._id, req.user._id, `User logged out: ${req.user.name}`, null, null, req);
     
@@ -148,4 +690,50 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// Where the current user is signed in, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 });
+
+    res.json({ sessions: sessions.map(session => sessionView(session, req.sessionId)) });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out every other session, keeping this one
+router.post('/sessions/revoke-others', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await revokeUserSessions(req.user._id, 'revoked', req.sessionId);
+
+    await logActivity('Logout', 'User', req.user._id, req.user._id, `Signed out other sessions: ${req.user.name}`, null, { revokedSessions }, req);
+
+    res.json({ message: 'Other sessions signed out', revokedSessions });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ message: 'Failed to sign out other sessions' });
+  }
+});
+
+// Sign out one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = /^[0-9a-f]{24}$/i.test(req.params.id) && await Session.findOne({ _id: req.params.id, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, session._id.toString() === String(req.sessionId) ? 'logout' : 'revoked');
+
+    await logActivity('Logout', 'User', req.user._id, req.user._id, `Signed out session on ${session.device}: ${req.user.name}`, null, { sessionId: session._id }, req);
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Failed to sign out session' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -3,12 +3,12 @@ import Medicine from '../models/Medicine.js';
 import Issuance from '../models/Issuance.js';
 import User from '../models/User.js';
 import ActivityLog from '../models/ActivityLog.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Get dashboard statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     // Basic counts
     const totalMedicines = await Medicine.countDocuments({ isActive: true });
@@ -20,14 +20,31 @@ router.get('/stats', authenticateToken, async (req, res) => {
       $expr: { $lte: ['$quantity', '$minQuantity'] }
     });
 
-    // Expiring medicines (within 30 days)
+    // Expiring medicines and lots (within 30 days), counting only lots with stock
     const thirtyDaysFromNow = new Date();
     thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
     const expiringMedicines = await Medicine.countDocuments({
       isActive: true,
-      expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() }
+      batches: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() } } }
     });
 
+    const [batchCounts] = await Medicine.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$batches' },
+      { $match: { 'batches.quantity': { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          expiringBatches: {
+            $sum: { $cond: [{ $and: [{ $lte: ['$batches.expiryDate', thirtyDaysFromNow] }, { $gt: ['$batches.expiryDate', new Date()] }] }, 1, 0] }
+          },
+          expiredBatches: {
+            $sum: { $cond: [{ $lte: ['$batches.expiryDate', new Date()] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+
     // Today's issuances
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -53,6 +70,8 @@ router.get('/stats', authenticateToken, async (req, res) => {
       totalUsers,
       lowStockMedicines,
       expiringMedicines,
+      expiringBatches: batchCounts?.expiringBatches || 0,
+      expiredBatches: batchCounts?.expiredBatches || 0,
       todayIssuances,
       monthlyIssuances,
       totalStockValue: Math.round(totalStockValue * 100) / 100
@@ -64,7 +83,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Get recent activities
-router.get('/recent-activities', authenticateToken, async (req, res) => {
+router.get('/recent-activities', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const activities = await ActivityLog.find()
       .populate('performedBy', 'name role')
@@ -79,7 +98,7 @@ router.get('/recent-activities', authenticateToken, async (req, res) => {
 });
 
 // Get issuance trends (last 7 days)
-router.get('/issuance-trends', authenticateToken, async (req, res) => {
+router.get('/issuance-trends', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -112,7 +131,7 @@ router.get('/issuance-trends', authenticateToken, async (req, res) => {
 });
 
 // Get category distribution
-router.get('/category-distribution', authenticateToken, async (req, res) => {
+router.get('/category-distribution', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const distribution = await Medicine.aggregate([
       {
@@ -0,0 +1,162 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { roleExists } from '../models/Role.js';
+import { authenticateToken, requirePermission, canGrantRole } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { INVITATION_TTL_HOURS, inviteLink, issueInvitationToken } from '../middleware/invitationService.js';
+
+const router = express.Router();
+
+// Token and link are only returned when the invitation is created or resent
+const invitationResponse = (invitation, token) => ({
+  invitation,
+  token,
+  inviteLink: inviteLink(token),
+  expiresInHours: INVITATION_TTL_HOURS
+});
+
+// Get invitations
+router.get('/', authenticateToken, requirePermission('user:manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'accepted') query.acceptedAt = { $ne: null };
+    if (status === 'revoked') Object.assign(query, { acceptedAt: null, revokedAt: { $ne: null } });
+    if (status === 'expired') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    if (status === 'pending') Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Invitation.countDocuments(query);
+
+    res.json({
+      invitations,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Failed to fetch invitations' });
+  }
+});
+
+// Invite someone; they choose their own password when accepting
+router.post('/', authenticateToken, requirePermission('user:manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
+  body('role').isString().trim().notEmpty().withMessage('Role required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, name, role } = req.body;
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+    if (!(await canGrantRole(req, role))) {
+      return res.status(403).json({ message: 'Cannot invite a user with more permissions than your own' });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'User with this email already exists' });
+    }
+
+    // A new invitation replaces any still pending for the same address
+    const now = new Date();
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedBy: req.user._id } }
+    );
+
+    const invitation = new Invitation({ email, name, role, invitedBy: req.user._id });
+    const token = await issueInvitationToken(invitation, req.user.name);
+
+    await logActivity('Add', 'Invitation', invitation._id, req.user._id, `Invited ${email} as ${role}`, null, { email, name, role }, req);
+
+    res.status(201).json({ message: 'Invitation created', ...invitationResponse(invitation, token) });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Failed to create invitation' });
+  }
+});
+
+// New link and expiry for an invitation that hasn't been accepted; the old link stops working
+router.post('/:id/resend', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+    if (!(await canGrantRole(req, invitation.role))) {
+      return res.status(403).json({ message: 'Cannot invite a user with more permissions than your own' });
+    }
+
+    const token = await issueInvitationToken(invitation, req.user.name);
+
+    await logActivity('Update', 'Invitation', invitation._id, req.user._id, `Resent invitation to ${invitation.email}`, null, { expiresAt: invitation.expiresAt }, req);
+
+    res.json({ message: 'Invitation resent', ...invitationResponse(invitation, token) });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Failed to resend invitation' });
+  }
+});
+
+// Revoke an invitation that hasn't been accepted
+router.delete('/:id', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({ message: `Invitation is already ${invitation.status}` });
+    }
+    if (!(await canGrantRole(req, invitation.role))) {
+      return res.status(403).json({ message: 'Cannot revoke an invitation for a role with more permissions than your own' });
+    }
+
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user._id;
+    await invitation.save();
+
+    await logActivity('Delete', 'Invitation', invitation._id, req.user._id, `Revoked invitation to ${invitation.email}`, null, { revokedAt: invitation.revokedAt }, req);
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Failed to revoke invitation' });
+  }
+});
+
+export default router;
@@ -2,17 +2,23 @@ import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import Issuance from '../models/Issuance.js';
 import Medicine from '../models/Medicine.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateTokenOrApiKey, requirePermission } from '../middleware/auth.js';
 import { logActivity } from '../middleware/logging.js';
 import { createMedicineAlert, checkAndCreateStockAlerts } from '../middleware/alertService.js';
+import { emitWebhookEvent } from '../middleware/webhookService.js';
+import { publishStreamEvent } from '../middleware/streamService.js';
+import { StockError, runInTransaction, decrementStock, incrementStock } from '../middleware/stockService.js';
+import { resolveRecipient } from '../middleware/recipientService.js';
 // import ActivityLog from '../models/ActivityLog.js'; 
 const router = express.Router();
 
 // Get all issuances with filtering and pagination
-router.get('/', authenticateToken, [
+router.get('/', authenticateTokenOrApiKey, requirePermission('issuance:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
   query('issuedTo').optional().isIn(['GIZ Guest', 'AZI Guest', 'Employee']).withMessage('Invalid issuedTo value'),
+  query('recipientId').optional().isMongoId().withMessage('Valid recipient ID required'),
+  query('status').optional().isIn(['issued', 'partially_returned', 'reversed']).withMessage('Invalid status'),
   query('startDate').optional().isISO8601().withMessage('Valid start date required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date required')
 ], async (req, res) => {
@@ -26,6 +32,8 @@ router.get('/', authenticateToken, [
       page = 1,
       limit = 20,
       issuedTo,
+      recipientId,
+      status,
       startDate,
       endDate,
       sortBy = 'issuedAt',
@@ -39,6 +47,14 @@ router.get('/', authenticateToken, [
       query.issuedTo = issuedTo;
     }
 
+    if (recipientId) {
+      query.recipientId = recipientId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
     if (startDate || endDate) {
       query.issuedAt = {};
       if (startDate) query.issuedAt.$gte = new Date(startDate);
@@ -158,13 +174,15 @@ router.get('/', authenticateToken, [
 //     res.status(500).json({ message: 'Failed to issue medicine' });
 //   }
 // });
-router.post('/', authenticateToken, [
+router.post('/', authenticateTokenOrApiKey, requirePermission('issuance:create'), [
   body('issuedMedicines').isArray({ min: 1 }).withMessage('At least one medicine must be issued'),
   body('issuedMedicines.*.medicineId').isMongoId().withMessage('Valid medicine ID required'),
   body('issuedMedicines.*.quantityIssued').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('issuedTo').isIn(['GIZ Guest', 'AZI Guest', 'Employee']).withMessage('Invalid recipient type'),
-  body('recipientName').trim().isLength({ min: 1, max: 200 }),
-  body('recipientID').trim().isLength({ min: 1, max: 100 }),
+  // Either a registered recipient, or type, name and ID (matched to the registry by ID)
+  body('recipientId').optional().isMongoId().withMessage('Valid recipient ID required'),
+  body('issuedTo').optional().isIn(['GIZ Guest', 'AZI Guest', 'Employee']).withMessage('Invalid recipient type'),
+  body('recipientName').optional().trim().isLength({ min: 1, max: 200 }),
+  body('recipientID').optional().trim().isLength({ min: 1, max: 100 }),
   body('prescribedBy').trim().isLength({ min: 1, max: 200 }),
   body('notes').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
@@ -177,59 +195,94 @@ router.post('/', authenticateToken, [
     const { issuedMedicines } = req.body;
     const issuedBy = req.user._id;
 
+    // Merge repeated lines for the same medicine so stock is checked against the total requested
+    const requested = new Map();
     for (const item of issuedMedicines) {
-      const medicine = await Medicine.findById(item.medicineId);
-      if (!medicine || !medicine.isActive) {
-        return res.status(404).json({ message: `Medicine not found: ${item.medicineId}` });
+      const medicineId = item.medicineId.toString();
+      requested.set(medicineId, (requested.get(medicineId) || 0) + parseInt(item.quantityIssued));
+    }
+
+    const issuance = await runInTransaction(async (session) => {
+      // Validate every line before touching stock
+      const medicines = new Map();
+      for (const [medicineId, quantity] of requested) {
+        const medicine = await Medicine.findById(medicineId).session(session);
+        if (!medicine || !medicine.isActive) {
+          throw new StockError(`Medicine not found: ${medicineId}`, 404);
+        }
+
+        const usable = medicine.usableQuantity();
+        if (usable === 0 && medicine.quantity > 0) {
+          throw new StockError(`${medicine.name} is expired`);
+        }
+
+        if (usable < quantity) {
+          throw new StockError(`Insufficient stock for ${medicine.name}. Available: ${usable}, Requested: ${quantity}`);
+        }
+
+        medicines.set(medicineId, medicine);
       }
 
-      if (medicine.quantity < item.quantityIssued) {
-        return res.status(400).json({
-          message: `Insufficient stock for ${medicine.name}. Available: ${medicine.quantity}, Requested: ${item.quantityIssued}`
+      const recipient = await resolveRecipient(req.body, issuedBy, session);
+
+      const issuance = new Issuance({
+        issuedMedicines,
+        recipientId: recipient._id,
+        issuedTo: recipient.type,
+        recipientName: recipient.name,
+        recipientID: recipient.recipientID,
+        prescribedBy: req.body.prescribedBy,
+        notes: req.body.notes,
+        issuedBy
+      });
+
+      // Draw each line FEFO and record which lots it consumed
+      for (const line of issuance.issuedMedicines) {
+        const medicineId = line.medicineId.toString();
+        const quantity = line.quantityIssued;
+        const { medicine, allocations } = await decrementStock(medicines.get(medicineId), quantity, issuedBy, session, {
+          type: 'issue',
+          referenceType: 'Issuance',
+          referenceId: issuance._id,
+          notes: `Issued to ${issuance.recipientName}`
         });
+        medicines.set(medicineId, medicine);
+        line.batches = allocations;
+
+        await logActivity(
+          'Issue',
+          'Medicine',
+          medicine._id,
+          issuedBy,
+          `Issued ${quantity} units of ${medicine.name} (${allocations.map(a => `${a.batchNumber || 'no batch'} x${a.quantity}`).join(', ')})`,
+          { quantity: medicine.quantity + quantity },
+          { quantity: medicine.quantity, batches: allocations },
+          req,
+          session
+        );
+
+        await createMedicineAlert('issued', medicine.name, medicine._id, issuedBy, {
+          quantity,
+          recipient: recipient.name
+        }, session);
       }
 
-      if (medicine.expiryDate <= new Date()) {
-        return res.status(400).json({ message: `${medicine.name} is expired` });
+      for (const medicine of medicines.values()) {
+        await checkAndCreateStockAlerts(medicine, issuedBy, session);
       }
 
-      medicine.quantity -= item.quantityIssued;
-      medicine.updatedBy = issuedBy;
-      await medicine.save();
-
-      await logActivity(
-        'Issue',
-        'Medicine',
-        medicine._id,
-        issuedBy,
-        `Issued ${item.quantityIssued} units of ${medicine.name}`,
-        { quantity: medicine.quantity + item.quantityIssued },
-        { quantity: medicine.quantity },
-        req
-      );
-
-      await createMedicineAlert('issued', medicine.name, medicine._id, issuedBy, {
-        quantity: item.quantityIssued,
-        recipient: req.body.recipientName
-      });
-
-      await checkAndCreateStockAlerts(medicine, issuedBy);
-    }
+      await issuance.save({ session });
 
-    const issuance = new Issuance({
-      issuedMedicines,
-      issuedTo: req.body.issuedTo,
-      recipientName: req.body.recipientName,
-      recipientID: req.body.recipientID,
-      prescribedBy: req.body.prescribedBy,
-      notes: req.body.notes,
-      issuedBy
+      return issuance;
     });
 
-    await issuance.save();
-
+    await emitWebhookEvent('issuance.created', issuance.toJSON());
+    await publishStreamEvent('issuance', { action: 'created', issuance: issuance.toJSON() });
     res.status(201).json(issuance);
   } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Multi-medicine issuance error:', error);
     res.status(500).json({ message: 'Failed to issue medicines' });
   }
@@ -238,10 +291,11 @@ router.post('/', authenticateToken, [
 
 
 // Get single issuance
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateTokenOrApiKey, requirePermission('issuance:read'), async (req, res) => {
   try {
     const issuance = await Issuance.findById(req.params.id)
       .populate('medicineId', 'name category')
+      .populate('recipientId', 'type recipientID name department allergies')
       .populate('issuedBy', 'name');
 
     if (!issuance) {
@@ -272,22 +326,145 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 
 
-    router.delete('/:id', authenticateToken, async (req, res) => {
+// Reverse an issuance, fully or per line, and return the quantities to stock
+router.post('/:id/reverse', authenticateTokenOrApiKey, requirePermission('issuance:reverse'), [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('Reason required (max 500 chars)'),
+  body('lines').optional().isArray({ min: 1 }).withMessage('Lines must be a non-empty array'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid issuance line ID required'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
   try {
-    const deletedIssuance = await Issuance.findByIdAndDelete(req.params.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const returnedBy = req.user._id;
 
-    if (!deletedIssuance) {
+    const issuance = await runInTransaction(async (session) => {
+      const issuance = await Issuance.findById(req.params.id).session(session);
+      if (!issuance) {
+        throw new StockError('Issuance not found', 404);
+      }
+
+      if (issuance.status === 'reversed') {
+        throw new StockError('Issuance has already been reversed');
+      }
+
+      // Without explicit lines, everything still outstanding goes back
+      const requestedLines = req.body.lines || issuance.issuedMedicines
+        .filter(line => line.quantityReturned < line.quantityIssued)
+        .map(line => ({ lineId: line._id, quantity: line.quantityIssued - line.quantityReturned }));
+
+      const returnedLines = [];
+      for (const requestedLine of requestedLines) {
+        const line = issuance.issuedMedicines.id(requestedLine.lineId);
+        if (!line) {
+          throw new StockError(`Issuance line not found: ${requestedLine.lineId}`, 404);
+        }
+
+        const quantity = parseInt(requestedLine.quantity);
+        const outstanding = line.quantityIssued - line.quantityReturned;
+        if (quantity > outstanding) {
+          throw new StockError(`Cannot return ${quantity} units on line ${line._id}. Outstanding: ${outstanding}`);
+        }
+
+        line.quantityReturned += quantity;
+
+        // Give the quantity back to the lots the line drew from, in the order they were drawn
+        const allocations = [];
+        let remaining = quantity;
+        for (const batch of line.batches) {
+          const take = Math.min(batch.quantity - batch.quantityReturned, remaining);
+          if (take <= 0) continue;
+          batch.quantityReturned += take;
+          allocations.push({ batchId: batch.batchId, quantity: take });
+          remaining -= take;
+        }
+
+        returnedLines.push({ lineId: line._id, medicineId: line.medicineId, quantity, allocations });
+      }
+
+      issuance.returns.push({ lines: returnedLines, reason: req.body.reason, returnedBy });
+      issuance.refreshStatus();
+      await issuance.save({ session });
+
+      for (const returnedLine of returnedLines) {
+        const medicine = await incrementStock(returnedLine.medicineId, returnedLine.quantity, returnedBy, session, returnedLine.allocations, {
+          type: 'return',
+          referenceType: 'Issuance',
+          referenceId: issuance._id,
+          notes: req.body.reason
+        });
+
+        await logActivity(
+          'Return',
+          'Medicine',
+          medicine._id,
+          returnedBy,
+          `Returned ${returnedLine.quantity} units of ${medicine.name} from ${issuance.recipientName}: ${req.body.reason}`,
+          { quantity: medicine.quantity - returnedLine.quantity },
+          { quantity: medicine.quantity },
+          req,
+          session
+        );
+
+        await createMedicineAlert('returned', medicine.name, medicine._id, returnedBy, {
+          quantity: returnedLine.quantity,
+          recipient: issuance.recipientName
+        }, session);
+        await checkAndCreateStockAlerts(medicine, returnedBy, session);
+      }
+
+      await logActivity(
+        'Return',
+        'Issuance',
+        issuance._id,
+        returnedBy,
+        `Issuance for ${issuance.recipientName} ${issuance.status === 'reversed' ? 'reversed' : 'partially returned'}: ${req.body.reason}`,
+        null,
+        { status: issuance.status, lines: returnedLines },
+        req,
+        session
+      );
+
+      return issuance;
+    });
+
+    await emitWebhookEvent('issuance.returned', { reason: req.body.reason, issuance: issuance.toJSON() });
+    await publishStreamEvent('issuance', { action: 'returned', issuance: issuance.toJSON() });
+    res.json(issuance);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Reverse issuance error:', error);
+    res.status(500).json({ message: 'Failed to reverse issuance' });
+  }
+});
+
+// Hard delete. Stock must be returned through a reversal first.
+router.delete('/:id', authenticateTokenOrApiKey, requirePermission('issuance:delete'), async (req, res) => {
+  try {
+    const issuance = await Issuance.findById(req.params.id);
+
+    if (!issuance) {
       return res.status(404).json({ message: 'Issuance not found' });
     }
 
-    // Log activity correctly as a function call
+    if (issuance.status !== 'reversed') {
+      return res.status(400).json({ message: 'Reverse the issuance before deleting it' });
+    }
+
+    await Issuance.findByIdAndDelete(issuance._id);
+
     await logActivity(
       'Delete',
       'Issuance',
-      deletedIssuance._id,
+      issuance._id,
       req.user._id,
-      `Deleted issuance record for ${deletedIssuance.recipientName || 'Unknown Recipient'}`,
-      deletedIssuance.toObject(), // oldData
+      `Deleted issuance record for ${issuance.recipientName || 'Unknown Recipient'}`,
+      issuance.toObject(), // oldData
       null, // newData
       req
     );
@@ -1,17 +1,25 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import Medicine from '../models/Medicine.js';
-import { authenticateToken } from '../middleware/auth.js';
+import StockAdjustment, { ADJUSTMENT_REASONS, WRITE_OFF_REASONS, adjustmentNeedsApproval } from '../models/StockAdjustment.js';
+import Supplier from '../models/Supplier.js';
+import { authenticateTokenOrApiKey, requirePermission, hasPermission } from '../middleware/auth.js';
 import { logActivity } from '../middleware/logging.js';
-import { createMedicineAlert, checkAndCreateStockAlerts } from '../middleware/alertService.js';
+import { createMedicineAlert, checkAndCreateStockAlerts, resolveConditionAlerts } from '../middleware/alertService.js';
+import { emitWebhookEvent, medicinePayload } from '../middleware/webhookService.js';
+import { StockError, runInTransaction, recordMovement, buildLedger, applyAdjustment } from '../middleware/stockService.js';
 
 const router = express.Router();
 
+// References to unknown or inactive suppliers are rejected
+const supplierExists = async (supplierId) => !supplierId || Boolean(await Supplier.exists({ _id: supplierId, isActive: true }));
+
 // Get all medicines with filtering and pagination
-router.get('/', authenticateToken, [
+router.get('/', authenticateTokenOrApiKey, requirePermission('medicine:read'), [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('category').optional().isString(),
+  query('shelf').optional().isString(),
   query('search').optional().isString(),
   query('lowStock').optional().isBoolean(),
   query('expiring').optional().isBoolean()
@@ -20,15 +28,17 @@ router.get('/', authenticateToken, [
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { page = 1, limit = 20, category, search, lowStock, expiring, sortBy = 'name', sortOrder = 'asc' } = req.query;
+    const { page = 1, limit = 20, category, shelf, search, lowStock, expiring, sortBy = 'name', sortOrder = 'asc' } = req.query;
     const query = { isActive: true };
 
     if (category) query.category = category;
+    if (shelf) query.shelf = shelf;
     if (search) {
+      const suppliers = await Supplier.find({ name: { $regex: search, $options: 'i' } }, '_id');
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
-        { supplier: { $regex: search, $options: 'i' } },
-        { batchNumber: { $regex: search, $options: 'i' } },
+        { supplierId: { $in: suppliers.map(supplier => supplier._id) } },
+        { 'batches.batchNumber': { $regex: search, $options: 'i' } },
         { barcode: { $regex: search, $options: 'i' } }
       ];
     }
@@ -37,13 +47,14 @@ router.get('/', authenticateToken, [
     if (expiring === 'true') {
       const thirtyDaysFromNow = new Date();
       thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-      query.expiryDate = { $lte: thirtyDaysFromNow, $gt: new Date() };
+      query.batches = { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() } } };
     }
 
     const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const medicines = await Medicine.find(query)
+      .populate('supplierId', 'name')
       .populate('createdBy', 'name')
       .populate('updatedBy', 'name')
       .sort(sortOptions)
@@ -59,9 +70,9 @@ router.get('/', authenticateToken, [
 });
 
 // Get single medicine
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateTokenOrApiKey, requirePermission('medicine:read'), async (req, res) => {
   try {
-    const medicine = await Medicine.findById(req.params.id).populate('createdBy', 'name').populate('updatedBy', 'name');
+    const medicine = await Medicine.findById(req.params.id).populate('supplierId', 'name').populate('batches.supplierId', 'name').populate('createdBy', 'name').populate('updatedBy', 'name');
     if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
     res.json(medicine);
   } catch (error) {
@@ -71,7 +82,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Add new medicine
-router.post('/', authenticateToken, [
+router.post('/', authenticateTokenOrApiKey, requirePermission('medicine:create'), [
   body('name').trim().isLength({ min: 1, max: 200 }),
   body('category').isIn(['Antibiotics', 'Painkillers', 'Supplements', 'Vaccines', 'Antiseptics', 'Cardiovascular', 'Respiratory', 'Digestive', 'Neurological', 'Other']),
   body('quantity').isInt({ min: 0 }),
@@ -79,32 +90,70 @@ router.post('/', authenticateToken, [
   body('price').isFloat({ min: 0 }),
   body('expiryDate').isISO8601(),
   body('barcode').optional().trim().isLength({ max: 100 }),
-  body('supplier').optional().trim().isLength({ max: 200 }),
+  body('supplierId').optional().isMongoId(),
   body('batchNumber').optional().trim().isLength({ max: 100 }),
+  body('unitCost').optional().isFloat({ min: 0 }),
+  body('shelf').optional().trim().isLength({ max: 100 }),
   body('description').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
+    if (!(await supplierExists(req.body.supplierId))) return res.status(400).json({ message: 'Supplier not found' });
+
+    const { unitCost, ...fields } = req.body;
     const medicineData = {
-      ...req.body,
+      ...fields,
       initialStock: req.body.quantity,
       stockOut: 0,
       createdBy: req.user._id
     };
 
+    // Opening stock becomes the first lot
+    if (req.body.quantity > 0) {
+      medicineData.batches = [{
+        batchNumber: req.body.batchNumber,
+        quantity: req.body.quantity,
+        initialQuantity: req.body.quantity,
+        expiryDate: req.body.expiryDate,
+        supplierId: req.body.supplierId,
+        unitCost,
+        receivedBy: req.user._id
+      }];
+    }
+
     if (medicineData.barcode) {
       const existingMedicine = await Medicine.findOne({ barcode: medicineData.barcode, isActive: true });
       if (existingMedicine) return res.status(400).json({ message: 'Medicine with this barcode already exists' });
     }
 
     const medicine = new Medicine(medicineData);
-    await medicine.save();
+    await runInTransaction(async (session) => {
+      await medicine.save({ session });
+
+      const [openingBatch] = medicine.batches;
+      if (openingBatch) {
+        await recordMovement({
+          medicineId: medicine._id,
+          batchId: openingBatch._id,
+          batchNumber: openingBatch.batchNumber,
+          type: 'receipt',
+          quantity: openingBatch.quantity,
+          balanceAfter: medicine.quantity,
+          unitCost: openingBatch.unitCost,
+          referenceType: 'Medicine',
+          referenceId: medicine._id,
+          notes: 'Opening stock',
+          performedBy: req.user._id
+        }, session);
+      }
+    });
     await medicine.populate('createdBy', 'name');
     await logActivity('Add', 'Medicine', medicine._id, req.user._id, `Added new medicine: ${medicine.name}`, null, medicineData, req);
     await createMedicineAlert('added', medicine.name, medicine._id, req.user._id);
     await checkAndCreateStockAlerts(medicine, req.user._id);
+    await emitWebhookEvent('medicine.added', medicinePayload(medicine));
 
     res.status(201).json(medicine);
   } catch (error) {
@@ -113,65 +162,61 @@ router.post('/', authenticateToken, [
   }
 });
 
-// Update medicine
-router.put('/:id', authenticateToken, [
+// Update medicine. Stock is not edited here: it is received through purchase orders.
+router.put('/:id', authenticateTokenOrApiKey, requirePermission('medicine:update'), [
   body('name').optional().trim().isLength({ min: 1, max: 200 }),
   body('category').optional().isIn(['Antibiotics', 'Painkillers', 'Supplements', 'Vaccines', 'Antiseptics', 'Cardiovascular', 'Respiratory', 'Digestive', 'Neurological', 'Other']),
   body('quantity').optional().isInt({ min: 0 }),
   body('minQuantity').optional().isInt({ min: 1 }),
   body('price').optional().isFloat({ min: 0 }),
-  body('expiryDate').optional().isISO8601(),
   body('barcode').optional().trim().isLength({ max: 100 }),
-  body('supplier').optional().trim().isLength({ max: 200 }),
-  body('batchNumber').optional().trim().isLength({ max: 100 }),
+  body('supplierId').optional().isMongoId(),
+  body('shelf').optional().trim().isLength({ max: 100 }),
   body('description').optional().trim().isLength({ max: 500 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
+    if (parseInt(req.body.stockToAdd) > 0) {
+      return res.status(400).json({ message: 'New stock must be received against a purchase order' });
+    }
+
+    if (!(await supplierExists(req.body.supplierId))) return res.status(400).json({ message: 'Supplier not found' });
+
     const medicine = await Medicine.findById(req.params.id);
     if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
 
+    // Changing the price needs its own permission
+    if (req.body.price !== undefined && parseFloat(req.body.price) !== medicine.price && !(await hasPermission(req, 'medicine:price'))) {
+      return res.status(403).json({ message: 'Insufficient permissions', required: ['medicine:price'] });
+    }
+
     const oldData = medicine.toObject();
-    const oldQuantity = medicine.quantity;
 
     if (req.body.barcode && req.body.barcode !== medicine.barcode) {
       const existing = await Medicine.findOne({ barcode: req.body.barcode, isActive: true, _id: { $ne: medicine._id } });
       if (existing) return res.status(400).json({ message: 'Medicine with this barcode already exists' });
     }
 
-    const stockToAdd = parseInt(req.body.stockToAdd) || 0;
-    if (stockToAdd > 0) {
-      medicine.quantity += stockToAdd;
-      medicine.initialStock += stockToAdd;
-    }
-
+    // Expiry and batch number live on the lots (see /:id/batches)
     Object.assign(medicine, {
       name: req.body.name ?? medicine.name,
       category: req.body.category ?? medicine.category,
       price: req.body.price ?? medicine.price,
-      expiryDate: req.body.expiryDate ?? medicine.expiryDate,
-      supplier: req.body.supplier ?? medicine.supplier,
-      batchNumber: req.body.batchNumber ?? medicine.batchNumber,
+      supplierId: req.body.supplierId ?? medicine.supplierId,
       barcode: req.body.barcode ?? medicine.barcode,
+      shelf: req.body.shelf ?? medicine.shelf,
       description: req.body.description ?? medicine.description
     });
-
-    medicine.stockOut = medicine.initialStock - medicine.quantity;
     medicine.updatedBy = req.user._id;
     await medicine.save();
 
     await medicine.populate(['createdBy updatedBy', 'name']);
     await logActivity('Update', 'Medicine', medicine._id, req.user._id, `Updated medicine: ${medicine.name}`, oldData, medicine.toObject(), req);
 
-    if (req.body.quantity && req.body.quantity > oldQuantity) {
-      await createMedicineAlert('stock_entry', medicine.name, medicine._id, req.user._id, {
-        quantity: medicine.quantity
-      });
-    }
-
     await checkAndCreateStockAlerts(medicine, req.user._id);
+    await emitWebhookEvent('medicine.updated', medicinePayload(medicine));
     res.json(medicine);
   } catch (error) {
     console.error('Update medicine error:', error);
@@ -179,8 +224,245 @@ router.put('/:id', authenticateToken, [
   }
 });
 
+// Get lots for a medicine, earliest expiry first
+router.get('/:id/batches', authenticateTokenOrApiKey, requirePermission('medicine:read'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id).populate('batches.supplierId', 'name').populate('batches.receivedBy', 'name');
+    if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
+
+    const batches = [...medicine.batches].sort((a, b) => a.expiryDate - b.expiryDate);
+    res.json({ medicineId: medicine._id, name: medicine.name, quantity: medicine.quantity, batches });
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({ message: 'Failed to fetch batches' });
+  }
+});
+
+// Get stock ledger (bin card) for a medicine
+router.get('/:id/ledger', authenticateTokenOrApiKey, requirePermission('medicine:read'), [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine) return res.status(404).json({ message: 'Medicine not found' });
+
+    const { startDate, endDate } = req.query;
+    const ledger = await buildLedger(medicine, { startDate, endDate });
+
+    res.json({
+      medicine: { _id: medicine._id, name: medicine.name, category: medicine.category, quantity: medicine.quantity },
+      ...ledger,
+      period: {
+        startDate: startDate || null,
+        endDate: endDate || null
+      }
+    });
+  } catch (error) {
+    console.error('Get medicine ledger error:', error);
+    res.status(500).json({ message: 'Failed to fetch medicine ledger' });
+  }
+});
+
+// Get stock adjustments for a medicine
+router.get('/:id/adjustments', authenticateTokenOrApiKey, requirePermission('medicine:read'), [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Invalid status'),
+  query('reason').optional().isIn(ADJUSTMENT_REASONS).withMessage('Invalid reason')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const query = { medicineId: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.reason) query.reason = req.query.reason;
+
+    const adjustments = await StockAdjustment.find(query)
+      .populate('requestedBy', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(adjustments);
+  } catch (error) {
+    console.error('Get adjustments error:', error);
+    res.status(500).json({ message: 'Failed to fetch adjustments' });
+  }
+});
+
+// Adjust stock with a reason code. Whether it posts immediately or waits for approval is decided by
+// adjustmentNeedsApproval; requireApproval can only ask for approval, never skip it.
+router.post('/:id/adjustments', authenticateTokenOrApiKey, requirePermission('stock:adjust'), [
+  body('reason').isIn(ADJUSTMENT_REASONS).withMessage('Invalid adjustment reason'),
+  body('quantity').isInt().not().equals('0').withMessage('Quantity must be a non-zero integer'),
+  body('batchId').optional().isMongoId().withMessage('Valid batch ID required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars'),
+  body('requireApproval').optional().isBoolean().withMessage('RequireApproval must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const quantity = parseInt(req.body.quantity);
+    if (WRITE_OFF_REASONS.includes(req.body.reason) && quantity > 0) {
+      return res.status(400).json({ message: `A ${req.body.reason} adjustment must reduce stock` });
+    }
+
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
+
+    const batch = req.body.batchId ? medicine.batches.id(req.body.batchId) : null;
+    if (req.body.batchId && !batch) return res.status(404).json({ message: 'Batch not found' });
+
+    const unitValue = batch?.unitCost ?? medicine.price;
+    const pending = req.body.requireApproval === true || req.body.requireApproval === 'true' ||
+      adjustmentNeedsApproval({ quantity, unitValue }, await hasPermission(req, 'stock:approve'));
+    const adjustment = new StockAdjustment({
+      medicineId: medicine._id,
+      batchId: batch?._id,
+      reason: req.body.reason,
+      quantity,
+      unitValue,
+      notes: req.body.notes,
+      status: pending ? 'pending' : 'approved',
+      requestedBy: req.user._id,
+      approvedBy: pending ? undefined : req.user._id,
+      approvedAt: pending ? undefined : new Date()
+    });
+
+    const updated = await runInTransaction(async (session) => {
+      const updated = pending ? medicine : await applyAdjustment(adjustment, req.user._id, session);
+      await adjustment.save({ session });
+      return updated;
+    });
+
+    await logActivity('Adjust', 'Medicine', medicine._id, req.user._id, `${pending ? 'Requested' : 'Posted'} ${req.body.reason} adjustment of ${quantity} units for ${medicine.name}`, { quantity: medicine.quantity }, { quantity: updated.quantity, adjustment: adjustment.toObject() }, req);
+    await createMedicineAlert('adjusted', medicine.name, medicine._id, req.user._id, {
+      quantity,
+      reason: req.body.reason,
+      batchNumber: batch?.batchNumber,
+      status: adjustment.status
+    });
+    if (!pending) await checkAndCreateStockAlerts(updated, req.user._id);
+
+    res.status(201).json(adjustment);
+  } catch (error) {
+    if (error instanceof StockError) return res.status(error.status).json({ message: error.message });
+    console.error('Create adjustment error:', error);
+    res.status(500).json({ message: 'Failed to adjust stock' });
+  }
+});
+
+// Approve a pending adjustment
+router.post('/:id/adjustments/:adjustmentId/approve', authenticateTokenOrApiKey, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    const existing = await StockAdjustment.findOne({ _id: req.params.adjustmentId, medicineId: req.params.id });
+    if (!existing) return res.status(404).json({ message: 'Adjustment not found' });
+
+    let adjustment;
+    const medicine = await runInTransaction(async (session) => {
+      // Claim it so a concurrent approval or rejection can't post it a second time
+      adjustment = await StockAdjustment.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        { $set: { status: 'approved', approvedBy: req.user._id, approvedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!adjustment) throw new StockError('Adjustment is no longer pending', 409);
+
+      const medicine = await applyAdjustment(adjustment, req.user._id, session);
+      await adjustment.save({ session });
+      return medicine;
+    });
+
+    await logActivity('Adjust', 'Medicine', medicine._id, req.user._id, `Approved ${adjustment.reason} adjustment of ${adjustment.quantity} units for ${medicine.name}`, { status: 'pending' }, { quantity: medicine.quantity, adjustment: adjustment.toObject() }, req);
+    await createMedicineAlert('adjusted', medicine.name, medicine._id, req.user._id, {
+      quantity: adjustment.quantity,
+      reason: adjustment.reason,
+      status: adjustment.status
+    });
+    await checkAndCreateStockAlerts(medicine, req.user._id);
+
+    res.json(adjustment);
+  } catch (error) {
+    if (error instanceof StockError) return res.status(error.status).json({ message: error.message });
+    console.error('Approve adjustment error:', error);
+    res.status(500).json({ message: 'Failed to approve adjustment' });
+  }
+});
+
+// Reject a pending adjustment
+router.post('/:id/adjustments/:adjustmentId/reject', authenticateTokenOrApiKey, requirePermission('stock:approve'), [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason max 500 chars')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const existing = await StockAdjustment.findOne({ _id: req.params.adjustmentId, medicineId: req.params.id });
+    if (!existing) return res.status(404).json({ message: 'Adjustment not found' });
+
+    const adjustment = await StockAdjustment.findOneAndUpdate(
+      { _id: existing._id, status: 'pending' },
+      { $set: { status: 'rejected', approvedBy: req.user._id, approvedAt: new Date(), rejectionReason: req.body.reason } },
+      { new: true }
+    );
+    if (!adjustment) return res.status(409).json({ message: 'Adjustment is no longer pending' });
+
+    await logActivity('Adjust', 'Medicine', adjustment.medicineId, req.user._id, `Rejected ${adjustment.reason} adjustment of ${adjustment.quantity} units`, { status: 'pending' }, { status: 'rejected', rejectionReason: req.body.reason }, req);
+
+    res.json(adjustment);
+  } catch (error) {
+    console.error('Reject adjustment error:', error);
+    res.status(500).json({ message: 'Failed to reject adjustment' });
+  }
+});
+
+// Correct a lot's details (quantities only change through stock movements)
+router.put('/:id/batches/:batchId', authenticateTokenOrApiKey, requirePermission('medicine:update'), [
+  body('batchNumber').optional().trim().isLength({ max: 100 }),
+  body('expiryDate').optional().isISO8601(),
+  body('supplierId').optional().isMongoId(),
+  body('unitCost').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
+
+    const batch = medicine.batches.id(req.params.batchId);
+    if (!batch) return res.status(404).json({ message: 'Batch not found' });
+    if (!(await supplierExists(req.body.supplierId))) return res.status(400).json({ message: 'Supplier not found' });
+
+    if (req.body.unitCost !== undefined && parseFloat(req.body.unitCost) !== batch.unitCost && !(await hasPermission(req, 'medicine:price'))) {
+      return res.status(403).json({ message: 'Insufficient permissions', required: ['medicine:price'] });
+    }
+
+    const oldData = batch.toObject();
+    Object.assign(batch, {
+      batchNumber: req.body.batchNumber ?? batch.batchNumber,
+      expiryDate: req.body.expiryDate ?? batch.expiryDate,
+      supplierId: req.body.supplierId ?? batch.supplierId,
+      unitCost: req.body.unitCost ?? batch.unitCost
+    });
+    medicine.updatedBy = req.user._id;
+    await medicine.save();
+
+    await logActivity('Update', 'Medicine', medicine._id, req.user._id, `Updated batch ${batch.batchNumber || batch._id} of ${medicine.name}`, oldData, batch.toObject(), req);
+    await checkAndCreateStockAlerts(medicine, req.user._id);
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Update batch error:', error);
+    res.status(500).json({ message: 'Failed to update batch' });
+  }
+});
+
 // Delete medicine
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateTokenOrApiKey, requirePermission('medicine:delete'), async (req, res) => {
   try {
     const medicine = await Medicine.findById(req.params.id);
     if (!medicine || !medicine.isActive) return res.status(404).json({ message: 'Medicine not found' });
@@ -191,6 +473,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     await medicine.save();
 
     await logActivity('Delete', 'Medicine', medicine._id, req.user._id, `Deleted medicine: ${medicine.name}`, oldData, { isActive: false }, req);
+    await resolveConditionAlerts({ entityId: medicine._id }, 'Medicine deleted', req.user._id);
+    await emitWebhookEvent('medicine.deleted', medicinePayload(medicine));
     res.json({ message: 'Medicine deleted successfully' });
   } catch (error) {
     console.error('Delete medicine error:', error);
@@ -199,7 +483,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get low stock medicines
-router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
+router.get('/alerts/low-stock', authenticateTokenOrApiKey, requirePermission('medicine:read'), async (req, res) => {
   try {
     const lowStockMedicines = await Medicine.find({
       isActive: true,
@@ -214,14 +498,14 @@ router.get('/alerts/low-stock', authenticateToken, async (req, res) => {
 });
 
 // Get expiring medicines
-router.get('/alerts/expiring', authenticateToken, async (req, res) => {
+router.get('/alerts/expiring', authenticateTokenOrApiKey, requirePermission('medicine:read'), async (req, res) => {
   try {
     const thirtyDaysFromNow = new Date();
     thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
 
     const expiringMedicines = await Medicine.find({
       isActive: true,
-      expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() }
+      batches: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() } } }
     }).populate('createdBy', 'name');
 
     res.json(expiringMedicines);
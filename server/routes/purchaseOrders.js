@@ -0,0 +1,448 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import PurchaseOrder from '../models/PurchaseOrder.js';
+import Supplier from '../models/Supplier.js';
+import Medicine from '../models/Medicine.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { createMedicineAlert, checkAndCreateStockAlerts } from '../middleware/alertService.js';
+import { emitWebhookEvent, medicinePayload } from '../middleware/webhookService.js';
+import { StockError, runInTransaction, receiveStock } from '../middleware/stockService.js';
+import { buildReorderSuggestions, REORDER_DEFAULTS } from '../middleware/reorderService.js';
+
+const router = express.Router();
+
+const lineValidators = (required) => [
+  (required ? body('lines') : body('lines').optional()).isArray({ min: 1 }).withMessage('At least one line is required'),
+  body('lines.*.medicineId').isMongoId().withMessage('Valid medicine ID required'),
+  body('lines.*.quantityOrdered').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be 0 or more')
+];
+
+// Check the supplier and every medicine on the order exist and are active
+const validateOrderReferences = async (supplierId, lines) => {
+  const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+  if (!supplier) {
+    return 'Supplier not found';
+  }
+
+  const medicineIds = [...new Set(lines.map(line => line.medicineId.toString()))];
+  const found = await Medicine.countDocuments({ _id: { $in: medicineIds }, isActive: true });
+  if (found !== medicineIds.length) {
+    return 'One or more medicines not found';
+  }
+
+  return null;
+};
+
+const toOrderLines = (lines) => lines.map(line => ({
+  medicineId: line.medicineId,
+  quantityOrdered: parseInt(line.quantityOrdered),
+  unitCost: line.unitCost !== undefined ? parseFloat(line.unitCost) : 0
+}));
+
+// Get all purchase orders
+router.get('/', authenticateToken, requirePermission('purchase_order:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('status').optional().isIn(['draft', 'submitted', 'partially_received', 'received', 'cancelled']).withMessage('Invalid status'),
+  query('supplierId').optional().isMongoId().withMessage('Valid supplier ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, supplierId } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (supplierId) {
+      query.supplierId = supplierId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplierId', 'name')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ message: 'Failed to fetch purchase orders' });
+  }
+});
+
+// Get single purchase order
+router.get('/:id', authenticateToken, requirePermission('purchase_order:read'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('supplierId', 'name contactPerson email phone leadTimeDays')
+      .populate('lines.medicineId', 'name category quantity')
+      .populate('receipts.receivedBy', 'name')
+      .populate('createdBy', 'name');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ message: 'Failed to fetch purchase order' });
+  }
+});
+
+// Create a draft purchase order
+router.post('/', authenticateToken, requirePermission('purchase_order:manage'), [
+  body('supplierId').isMongoId().withMessage('Valid supplier ID required'),
+  ...lineValidators(true),
+  body('expectedDate').optional().isISO8601().withMessage('Valid expected date required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const referenceError = await validateOrderReferences(req.body.supplierId, req.body.lines);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const order = new PurchaseOrder({
+      supplierId: req.body.supplierId,
+      lines: toOrderLines(req.body.lines),
+      expectedDate: req.body.expectedDate,
+      notes: req.body.notes,
+      createdBy: req.user._id
+    });
+    await order.save();
+
+    await logActivity('Add', 'PurchaseOrder', order._id, req.user._id, `Created purchase order ${order.poNumber}`, null, order.toObject(), req);
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ message: 'Failed to create purchase order' });
+  }
+});
+
+// Turn reorder suggestions into draft purchase orders, one per supplier
+router.post('/from-suggestions', authenticateToken, requirePermission('purchase_order:manage'), [
+  body('medicineIds').optional().isArray({ min: 1 }).withMessage('Medicine IDs must be a non-empty array'),
+  body('medicineIds.*').isMongoId().withMessage('Valid medicine ID required'),
+  body('supplierId').optional().isMongoId().withMessage('Valid supplier ID required'),
+  body('days').optional().isInt({ min: 7, max: 365 }).withMessage('Days must be between 7-365'),
+  body('safetyDays').optional().isInt({ min: 0, max: 180 }).withMessage('Safety days must be between 0-180'),
+  body('coverDays').optional().isInt({ min: 1, max: 365 }).withMessage('Cover days must be between 1-365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const suggestions = await buildReorderSuggestions({
+      lookbackDays: parseInt(req.body.days) || REORDER_DEFAULTS.lookbackDays,
+      safetyStockDays: req.body.safetyDays !== undefined ? parseInt(req.body.safetyDays) : REORDER_DEFAULTS.safetyStockDays,
+      coverDays: parseInt(req.body.coverDays) || REORDER_DEFAULTS.coverDays,
+      supplierId: req.body.supplierId,
+      medicineIds: req.body.medicineIds
+    });
+
+    // Group by supplier; medicines without one can't be ordered automatically
+    const bySupplier = new Map();
+    const skipped = [];
+    for (const suggestion of suggestions) {
+      if (suggestion.suggestedQuantity <= 0) continue;
+      if (!suggestion.supplierId) {
+        skipped.push({ medicineId: suggestion.medicineId, name: suggestion.name, reason: 'No supplier assigned' });
+        continue;
+      }
+
+      const key = suggestion.supplierId.toString();
+      if (!bySupplier.has(key)) bySupplier.set(key, []);
+      bySupplier.get(key).push(suggestion);
+    }
+
+    const orders = [];
+    for (const [supplierId, lines] of bySupplier) {
+      const order = new PurchaseOrder({
+        supplierId,
+        lines: lines.map(line => ({
+          medicineId: line.medicineId,
+          quantityOrdered: line.suggestedQuantity,
+          unitCost: line.unitCost
+        })),
+        notes: 'Generated from reorder suggestions',
+        createdBy: req.user._id
+      });
+      await order.save();
+      orders.push(order);
+
+      await logActivity('Add', 'PurchaseOrder', order._id, req.user._id, `Created purchase order ${order.poNumber} from reorder suggestions`, null, order.toObject(), req);
+    }
+
+    res.status(201).json({ orders, skipped });
+  } catch (error) {
+    console.error('Create purchase orders from suggestions error:', error);
+    res.status(500).json({ message: 'Failed to create purchase orders from suggestions' });
+  }
+});
+
+// Update a draft purchase order
+router.put('/:id', authenticateToken, requirePermission('purchase_order:manage'), [
+  body('supplierId').optional().isMongoId().withMessage('Valid supplier ID required'),
+  ...lineValidators(false),
+  body('expectedDate').optional().isISO8601().withMessage('Valid expected date required'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be edited' });
+    }
+
+    const oldData = order.toObject();
+    const supplierId = req.body.supplierId ?? order.supplierId;
+    const lines = req.body.lines ? toOrderLines(req.body.lines) : order.lines;
+
+    const referenceError = await validateOrderReferences(supplierId, lines);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    Object.assign(order, {
+      supplierId,
+      lines,
+      expectedDate: req.body.expectedDate ?? order.expectedDate,
+      notes: req.body.notes ?? order.notes
+    });
+    await order.save();
+
+    await logActivity('Update', 'PurchaseOrder', order._id, req.user._id, `Updated purchase order ${order.poNumber}`, oldData, order.toObject(), req);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ message: 'Failed to update purchase order' });
+  }
+});
+
+// Submit a draft to the supplier
+router.post('/:id/submit', authenticateToken, requirePermission('purchase_order:manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft purchase orders can be submitted' });
+    }
+
+    order.status = 'submitted';
+    order.submittedBy = req.user._id;
+    order.submittedAt = new Date();
+    await order.save();
+
+    await logActivity('Update', 'PurchaseOrder', order._id, req.user._id, `Submitted purchase order ${order.poNumber}`, { status: 'draft' }, { status: 'submitted' }, req);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Submit purchase order error:', error);
+    res.status(500).json({ message: 'Failed to submit purchase order' });
+  }
+});
+
+// Cancel an order that has not received anything yet
+router.post('/:id/cancel', authenticateToken, requirePermission('purchase_order:manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (!['draft', 'submitted'].includes(order.status)) {
+      return res.status(400).json({ message: `Cannot cancel a ${order.status} purchase order` });
+    }
+
+    const oldStatus = order.status;
+    order.status = 'cancelled';
+    order.cancelledBy = req.user._id;
+    order.cancelledAt = new Date();
+    await order.save();
+
+    await logActivity('Update', 'PurchaseOrder', order._id, req.user._id, `Cancelled purchase order ${order.poNumber}`, { status: oldStatus }, { status: 'cancelled' }, req);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ message: 'Failed to cancel purchase order' });
+  }
+});
+
+// Close a partially received order short, accepting the under-delivery
+router.post('/:id/close', authenticateToken, requirePermission('purchase_order:manage'), async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    if (order.status !== 'partially_received') {
+      return res.status(400).json({ message: 'Only partially received purchase orders can be closed' });
+    }
+
+    order.status = 'received';
+    order.closedShort = true;
+    await order.save();
+
+    await logActivity('Update', 'PurchaseOrder', order._id, req.user._id, `Closed purchase order ${order.poNumber} short`, { status: 'partially_received' }, { status: 'received', deliveryVariance: order.deliveryVariance }, req);
+
+    res.json(order);
+  } catch (error) {
+    console.error('Close purchase order error:', error);
+    res.status(500).json({ message: 'Failed to close purchase order' });
+  }
+});
+
+// Record a goods receipt against the order's lines; each received line becomes a new lot
+router.post('/:id/receipts', authenticateToken, requirePermission('purchase_order:receive'), [
+  body('lines').isArray({ min: 1 }).withMessage('At least one received line is required'),
+  body('lines.*.lineId').isMongoId().withMessage('Valid purchase order line ID required'),
+  body('lines.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('lines.*.batchNumber').optional().trim().isLength({ max: 100 }).withMessage('Batch number max 100 chars'),
+  body('lines.*.expiryDate').isISO8601().withMessage('Valid expiry date required'),
+  body('lines.*.unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be 0 or more'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const receivedBy = req.user._id;
+
+    const { order, received } = await runInTransaction(async (session) => {
+      const order = await PurchaseOrder.findById(req.params.id).session(session);
+      if (!order) {
+        throw new StockError('Purchase order not found', 404);
+      }
+
+      if (!['submitted', 'partially_received'].includes(order.status)) {
+        throw new StockError(`Cannot receive against a ${order.status} purchase order`);
+      }
+
+      const receiptLines = [];
+      const received = [];
+      for (const entry of req.body.lines) {
+        const line = order.lines.id(entry.lineId);
+        if (!line) {
+          throw new StockError(`Purchase order line not found: ${entry.lineId}`, 404);
+        }
+
+        const quantity = parseInt(entry.quantity);
+        const unitCost = entry.unitCost !== undefined ? parseFloat(entry.unitCost) : line.unitCost;
+
+        const { medicine, batch } = await receiveStock(line.medicineId, {
+          batchNumber: entry.batchNumber,
+          quantity,
+          expiryDate: entry.expiryDate,
+          supplierId: order.supplierId,
+          unitCost
+        }, receivedBy, session, {
+          type: 'receipt',
+          referenceType: 'PurchaseOrder',
+          referenceId: order._id,
+          notes: `Received against ${order.poNumber}`
+        });
+
+        line.quantityReceived += quantity;
+        receiptLines.push({
+          lineId: line._id,
+          medicineId: line.medicineId,
+          batchId: batch._id,
+          batchNumber: batch.batchNumber,
+          expiryDate: batch.expiryDate,
+          quantity,
+          unitCost
+        });
+        received.push({ medicine, batch, quantity, overDelivered: Math.max(line.quantityReceived - line.quantityOrdered, 0) });
+      }
+
+      order.receipts.push({ lines: receiptLines, notes: req.body.notes, receivedBy });
+      order.refreshStatus();
+      await order.save({ session });
+
+      return { order, received };
+    });
+
+    for (const { medicine, batch, quantity, overDelivered } of received) {
+      await logActivity(
+        'Stock In',
+        'Medicine',
+        medicine._id,
+        receivedBy,
+        `Received ${quantity} units of ${medicine.name} (batch ${batch.batchNumber || 'N/A'}) against ${order.poNumber}${overDelivered ? `, ${overDelivered} over order` : ''}`,
+        { quantity: medicine.quantity - quantity },
+        { quantity: medicine.quantity, batch },
+        req
+      );
+      await createMedicineAlert('stock_entry', medicine.name, medicine._id, receivedBy, {
+        quantity: medicine.quantity,
+        batchNumber: batch.batchNumber
+      });
+      await checkAndCreateStockAlerts(medicine, receivedBy);
+      await emitWebhookEvent('medicine.restocked', {
+        medicine: medicinePayload(medicine),
+        quantityReceived: quantity,
+        batch: { id: batch._id, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate },
+        purchaseOrder: { id: order._id, poNumber: order.poNumber, status: order.status }
+      });
+    }
+
+    await logActivity('Stock In', 'PurchaseOrder', order._id, receivedBy, `Goods receipt recorded for ${order.poNumber} (${order.status})`, null, { deliveryVariance: order.deliveryVariance }, req);
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Goods receipt error:', error);
+    res.status(500).json({ message: 'Failed to record goods receipt' });
+  }
+});
+
+export default router;
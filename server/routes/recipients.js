@@ -0,0 +1,300 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Recipient, { RECIPIENT_TYPES, normalizeRecipientId } from '../models/Recipient.js';
+import Issuance from '../models/Issuance.js';
+import { authenticateTokenOrApiKey, requirePermission } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+
+const router = express.Router();
+
+const recipientValidators = (required) => [
+  (required ? body('type') : body('type').optional()).isIn(RECIPIENT_TYPES).withMessage('Invalid recipient type'),
+  (required ? body('recipientID') : body('recipientID').optional()).trim().isLength({ min: 1, max: 100 }).withMessage('Recipient ID required (max 100 chars)'),
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 200 }).withMessage('Name required (max 200 chars)'),
+  body('department').optional().trim().isLength({ max: 100 }).withMessage('Department max 100 chars'),
+  body('phone').optional().trim().isLength({ max: 50 }).withMessage('Phone max 50 chars'),
+  body('email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('allergies').optional().isArray().withMessage('Allergies must be an array'),
+  body('allergies.*').trim().isLength({ min: 1, max: 100 }).withMessage('Allergy must be 1-100 chars'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars'),
+  body('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
+];
+
+const RECIPIENT_FIELDS = ['type', 'recipientID', 'name', 'department', 'phone', 'email', 'allergies', 'notes', 'isActive'];
+
+const pickRecipientFields = (source) => RECIPIENT_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search recipients by name, ID or department
+router.get('/', authenticateTokenOrApiKey, requirePermission('recipient:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('type').optional().isIn(RECIPIENT_TYPES).withMessage('Invalid recipient type'),
+  query('department').optional().isString().withMessage('Department must be a string'),
+  query('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, search, type, department, isActive } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (department) {
+      query.department = { $regex: `^${escapeRegex(department)}$`, $options: 'i' };
+    }
+
+    if (search) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { recipientID: { $regex: pattern, $options: 'i' } },
+        { department: { $regex: pattern, $options: 'i' } }
+      ];
+      // IDs are often typed without their separators
+      const normalizedId = normalizeRecipientId(search);
+      if (normalizedId) query.$or.push({ normalizedId: { $regex: `^${normalizedId}` } });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const recipients = await Recipient.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Recipient.countDocuments(query);
+
+    res.json({
+      recipients,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get recipients error:', error);
+    res.status(500).json({ message: 'Failed to fetch recipients' });
+  }
+});
+
+// Get single recipient
+router.get('/:id', authenticateTokenOrApiKey, requirePermission('recipient:read'), async (req, res) => {
+  try {
+    const recipient = await Recipient.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!recipient) {
+      return res.status(404).json({ message: 'Recipient not found' });
+    }
+
+    res.json(recipient);
+  } catch (error) {
+    console.error('Get recipient error:', error);
+    res.status(500).json({ message: 'Failed to fetch recipient' });
+  }
+});
+
+// Issuances to a recipient, newest first, with units received per medicine over the same period
+router.get('/:id/history', authenticateTokenOrApiKey, requirePermission('recipient:read'), requirePermission('issuance:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('includeReversed').optional().isBoolean().withMessage('IncludeReversed must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recipient = await Recipient.findById(req.params.id);
+    if (!recipient) {
+      return res.status(404).json({ message: 'Recipient not found' });
+    }
+
+    const { page = 1, limit = 20, startDate, endDate, includeReversed } = req.query;
+
+    const query = { recipientId: recipient._id };
+    if (includeReversed !== 'true') {
+      query.status = { $ne: 'reversed' };
+    }
+    if (startDate || endDate) {
+      query.issuedAt = {};
+      if (startDate) query.issuedAt.$gte = new Date(startDate);
+      if (endDate) query.issuedAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const issuances = await Issuance.find(query)
+      .populate('issuedMedicines.medicineId', 'name category')
+      .populate('issuedBy', 'name')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Issuance.countDocuments(query);
+
+    // Net of returns, across the whole period rather than just this page
+    const totals = await Issuance.aggregate([
+      { $match: query },
+      { $unwind: '$issuedMedicines' },
+      {
+        $group: {
+          _id: '$issuedMedicines.medicineId',
+          quantity: { $sum: { $subtract: ['$issuedMedicines.quantityIssued', { $ifNull: ['$issuedMedicines.quantityReturned', 0] }] } },
+          issuances: { $sum: 1 },
+          lastIssuedAt: { $max: '$issuedAt' }
+        }
+      },
+      { $lookup: { from: 'medicines', localField: '_id', foreignField: '_id', as: 'medicine' } },
+      { $unwind: { path: '$medicine', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          medicineId: '$_id',
+          name: '$medicine.name',
+          category: '$medicine.category',
+          quantity: 1,
+          issuances: 1,
+          lastIssuedAt: 1
+        }
+      },
+      { $sort: { quantity: -1 } }
+    ]);
+
+    res.json({
+      recipient,
+      issuances,
+      summary: {
+        totalIssuances: total,
+        totalUnits: totals.reduce((sum, row) => sum + row.quantity, 0),
+        byMedicine: totals
+      },
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get recipient history error:', error);
+    res.status(500).json({ message: 'Failed to fetch recipient history' });
+  }
+});
+
+// Add new recipient
+router.post('/', authenticateTokenOrApiKey, requirePermission('recipient:manage'), recipientValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const normalizedId = normalizeRecipientId(req.body.recipientID);
+    if (!normalizedId) {
+      return res.status(400).json({ message: 'Recipient ID must contain letters or digits' });
+    }
+
+    const existing = await Recipient.findOne({ normalizedId });
+    if (existing) {
+      return res.status(400).json({ message: `Recipient with this ID already exists: ${existing.name}` });
+    }
+
+    const recipient = new Recipient({
+      ...pickRecipientFields(req.body),
+      createdBy: req.user._id
+    });
+    await recipient.save();
+
+    await logActivity('Add', 'Recipient', recipient._id, req.user._id, `Added recipient: ${recipient.name} (${recipient.recipientID})`, null, recipient.toObject(), req);
+
+    res.status(201).json(recipient);
+  } catch (error) {
+    console.error('Add recipient error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Recipient with this ID already exists' : 'Failed to add recipient' });
+  }
+});
+
+// Update recipient. Past issuances keep the details they were issued under.
+router.put('/:id', authenticateTokenOrApiKey, requirePermission('recipient:manage'), recipientValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recipient = await Recipient.findById(req.params.id);
+    if (!recipient) {
+      return res.status(404).json({ message: 'Recipient not found' });
+    }
+
+    if (req.body.recipientID) {
+      const normalizedId = normalizeRecipientId(req.body.recipientID);
+      if (!normalizedId) {
+        return res.status(400).json({ message: 'Recipient ID must contain letters or digits' });
+      }
+
+      const existing = await Recipient.findOne({ normalizedId, _id: { $ne: recipient._id } });
+      if (existing) {
+        return res.status(400).json({ message: `Recipient with this ID already exists: ${existing.name}` });
+      }
+    }
+
+    const oldData = recipient.toObject();
+    Object.assign(recipient, pickRecipientFields(req.body));
+    recipient.updatedBy = req.user._id;
+    await recipient.save();
+
+    await logActivity('Update', 'Recipient', recipient._id, req.user._id, `Updated recipient: ${recipient.name} (${recipient.recipientID})`, oldData, recipient.toObject(), req);
+
+    res.json(recipient);
+  } catch (error) {
+    console.error('Update recipient error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Recipient with this ID already exists' : 'Failed to update recipient' });
+  }
+});
+
+// Deactivate recipient; their issuance history stays linked
+router.delete('/:id', authenticateTokenOrApiKey, requirePermission('recipient:manage'), async (req, res) => {
+  try {
+    const recipient = await Recipient.findById(req.params.id);
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({ message: 'Recipient not found' });
+    }
+
+    recipient.isActive = false;
+    recipient.updatedBy = req.user._id;
+    await recipient.save();
+
+    await logActivity('Delete', 'Recipient', recipient._id, req.user._id, `Deactivated recipient: ${recipient.name} (${recipient.recipientID})`, { isActive: true }, { isActive: false }, req);
+
+    res.json({ message: 'Recipient deactivated successfully' });
+  } catch (error) {
+    console.error('Delete recipient error:', error);
+    res.status(500).json({ message: 'Failed to delete recipient' });
+  }
+});
+
+export default router;
@@ -2,12 +2,17 @@ import express from 'express';
 import { query, validationResult } from 'express-validator';
 import Medicine from '../models/Medicine.js';
 import Issuance from '../models/Issuance.js';
-import { authenticateToken } from '../middleware/auth.js';
+import StockMovement from '../models/StockMovement.js';
+import StockAdjustment, { WRITE_OFF_REASONS } from '../models/StockAdjustment.js';
+import StockCount from '../models/StockCount.js';
+import Supplier from '../models/Supplier.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { buildReorderSuggestions, REORDER_DEFAULTS } from '../middleware/reorderService.js';
 
 const router = express.Router();
 
 // Generate inventory report
-router.get('/inventory', authenticateToken, [
+router.get('/inventory', authenticateToken, requirePermission('report:read'), [
   query('category').optional().isString().withMessage('Category must be a string'),
   query('lowStock').optional().isBoolean().withMessage('LowStock must be a boolean'),
   query('expiring').optional().isBoolean().withMessage('Expiring must be a boolean')
@@ -34,7 +39,7 @@ router.get('/inventory', authenticateToken, [
     if (expiring === 'true') {
       const thirtyDaysFromNow = new Date();
       thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
-      query.expiryDate = { $lte: thirtyDaysFromNow, $gt: new Date() };
+      query.batches = { $elemMatch: { quantity: { $gt: 0 }, expiryDate: { $lte: thirtyDaysFromNow, $gt: new Date() } } };
     }
 
     const medicines = await Medicine.find(query)
@@ -62,7 +67,7 @@ router.get('/inventory', authenticateToken, [
 });
 
 // Generate issuance report
-router.get('/issuances', authenticateToken, [
+router.get('/issuances', authenticateToken, requirePermission('report:read'), [
   query('startDate').optional().isISO8601().withMessage('Valid start date required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date required'),
   query('issuedTo').optional().isIn(['GIZ Guest', 'AZI Guest', 'Employee']).withMessage('Invalid issuedTo value')
@@ -132,8 +137,374 @@ router.get('/issuances', authenticateToken, [
   }
 });
 
-// Generate expiry report
-router.get('/expiry', authenticateToken, async (req, res) => {
+// Generate stock ledger report: opening balance, movements by type and closing balance per medicine
+router.get('/ledger', authenticateToken, requirePermission('report:financial'), [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  query('medicineId').optional().isMongoId().withMessage('Valid medicine ID required'),
+  query('category').optional().isString().withMessage('Category must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, medicineId, category } = req.query;
+    const start = startDate ? new Date(startDate) : new Date(0);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    // Build query
+    const medicineQuery = { isActive: true };
+    if (medicineId) {
+      medicineQuery._id = medicineId;
+    }
+    if (category) {
+      medicineQuery.category = category;
+    }
+
+    const medicines = await Medicine.find(medicineQuery, 'name category quantity price').sort({ name: 1 });
+
+    // The first movement on or after the start gives the opening balance; later ones beyond the end are ignored
+    const sumOfType = (type) => ({
+      $sum: { $cond: [{ $and: [{ $lte: ['$occurredAt', end] }, { $eq: ['$type', type] }] }, '$quantity', 0] }
+    });
+    const movementTotals = await StockMovement.aggregate([
+      { $match: { medicineId: { $in: medicines.map(med => med._id) }, occurredAt: { $gte: start } } },
+      { $sort: { occurredAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$medicineId',
+          first: { $first: { balanceAfter: '$balanceAfter', quantity: '$quantity' } },
+          receipt: sumOfType('receipt'),
+          issue: sumOfType('issue'),
+          return: sumOfType('return'),
+          adjustment: sumOfType('adjustment'),
+          transfer: sumOfType('transfer')
+        }
+      }
+    ]);
+    const totalsByMedicine = new Map(movementTotals.map(row => [row._id.toString(), row]));
+
+    const rows = medicines.map(med => {
+      const row = totalsByMedicine.get(med._id.toString());
+      const openingBalance = row ? row.first.balanceAfter - row.first.quantity : med.quantity;
+      const totals = {
+        receipt: row?.receipt || 0,
+        issue: row?.issue || 0,
+        return: row?.return || 0,
+        adjustment: row?.adjustment || 0,
+        transfer: row?.transfer || 0
+      };
+      const closingBalance = openingBalance + Object.values(totals).reduce((sum, qty) => sum + qty, 0);
+
+      return {
+        medicineId: med._id,
+        name: med.name,
+        category: med.category,
+        openingBalance,
+        ...totals,
+        closingBalance,
+        closingValue: Math.round(closingBalance * med.price * 100) / 100
+      };
+    });
+
+    res.json({
+      medicines: rows,
+      summary: {
+        totalMedicines: rows.length,
+        totalReceived: rows.reduce((sum, row) => sum + row.receipt, 0),
+        totalIssued: rows.reduce((sum, row) => sum + row.issue, 0),
+        totalReturned: rows.reduce((sum, row) => sum + row.return, 0),
+        totalAdjusted: rows.reduce((sum, row) => sum + row.adjustment, 0),
+        closingValue: Math.round(rows.reduce((sum, row) => sum + row.closingValue, 0) * 100) / 100,
+        reportGeneratedAt: new Date(),
+        period: {
+          startDate: startDate || null,
+          endDate: endDate || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Generate ledger report error:', error);
+    res.status(500).json({ message: 'Failed to generate ledger report' });
+  }
+});
+
+// Generate write-off report: approved stock reductions grouped by reason
+router.get('/write-offs', authenticateToken, requirePermission('report:financial'), [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.query;
+
+    // Build query
+    const match = { status: 'approved', quantity: { $lt: 0 } };
+
+    if (startDate || endDate) {
+      match.approvedAt = {};
+      if (startDate) match.approvedAt.$gte = new Date(startDate);
+      if (endDate) match.approvedAt.$lte = new Date(endDate);
+    }
+
+    const byReason = await StockAdjustment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$reason',
+          count: { $sum: 1 },
+          quantity: { $sum: { $abs: '$quantity' } },
+          value: { $sum: { $multiply: [{ $abs: '$quantity' }, '$unitValue'] } }
+        }
+      },
+      { $sort: { value: -1 } }
+    ]);
+
+    const adjustments = await StockAdjustment.find(match)
+      .populate('medicineId', 'name category')
+      .populate('requestedBy', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ approvedAt: -1 });
+
+    const groupedByReason = byReason.reduce((acc, row) => {
+      acc[row._id] = {
+        count: row.count,
+        quantity: row.quantity,
+        value: Math.round(row.value * 100) / 100,
+        isWriteOff: WRITE_OFF_REASONS.includes(row._id)
+      };
+      return acc;
+    }, {});
+
+    res.json({
+      adjustments,
+      summary: {
+        totalAdjustments: adjustments.length,
+        totalQuantity: byReason.reduce((sum, row) => sum + row.quantity, 0),
+        totalValue: Math.round(byReason.reduce((sum, row) => sum + row.value, 0) * 100) / 100,
+        groupedByReason,
+        reportGeneratedAt: new Date(),
+        period: {
+          startDate: startDate || null,
+          endDate: endDate || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Generate write-off report error:', error);
+    res.status(500).json({ message: 'Failed to generate write-off report' });
+  }
+});
+
+// Generate stock count report: variance per line and per category
+router.get('/stock-counts/:id', authenticateToken, requirePermission('report:read'), async (req, res) => {
+  try {
+    const count = await StockCount.findById(req.params.id)
+      .populate('openedBy', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const lines = count.varianceLines();
+
+    // Group by category
+    const groupedByCategory = lines.reduce((acc, line) => {
+      if (!acc[line.category]) {
+        acc[line.category] = { lines: 0, counted: 0, varianceUnits: 0, varianceValue: 0 };
+      }
+      acc[line.category].lines += 1;
+      if (line.variance !== null) {
+        acc[line.category].counted += 1;
+        acc[line.category].varianceUnits += line.variance;
+        acc[line.category].varianceValue = Math.round((acc[line.category].varianceValue + line.varianceValue) * 100) / 100;
+      }
+      return acc;
+    }, {});
+
+    res.json({
+      count: {
+        _id: count._id,
+        name: count.name,
+        status: count.status,
+        openedBy: count.openedBy,
+        openedAt: count.createdAt,
+        approvedBy: count.approvedBy,
+        approvedAt: count.approvedAt
+      },
+      lines,
+      summary: {
+        ...count.summary(),
+        groupedByCategory,
+        reportGeneratedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Generate stock count report error:', error);
+    res.status(500).json({ message: 'Failed to generate stock count report' });
+  }
+});
+
+// Generate supplier report: value purchased per supplier and what was lost to expiry
+router.get('/suppliers', authenticateToken, requirePermission('report:financial'), [
+  query('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  query('endDate').optional().isISO8601().withMessage('Valid end date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate } = req.query;
+    const dateRange = {};
+    if (startDate) dateRange.$gte = new Date(startDate);
+    if (endDate) dateRange.$lte = new Date(endDate);
+    const now = new Date();
+
+    const medicines = await Medicine.find({}, 'name price batches');
+    const suppliers = await Supplier.find({}, 'name isActive');
+
+    const rows = new Map(suppliers.map(supplier => [supplier._id.toString(), {
+      supplierId: supplier._id,
+      name: supplier.name,
+      isActive: supplier.isActive,
+      batchesReceived: 0,
+      quantityPurchased: 0,
+      purchasedValue: 0,
+      expiredOnHandQuantity: 0,
+      expiredOnHandValue: 0,
+      expiryWriteOffQuantity: 0,
+      expiryWriteOffValue: 0
+    }]));
+
+    // Index every lot by ID so write-offs can be traced back to their supplier
+    const batchIndex = new Map();
+    for (const medicine of medicines) {
+      for (const batch of medicine.batches) {
+        batchIndex.set(batch._id.toString(), { batch, medicine });
+
+        const row = batch.supplierId && rows.get(batch.supplierId.toString());
+        if (!row) continue;
+
+        const unitCost = batch.unitCost ?? medicine.price;
+        const inRange = (!dateRange.$gte || batch.receivedAt >= dateRange.$gte) && (!dateRange.$lte || batch.receivedAt <= dateRange.$lte);
+        if (inRange) {
+          row.batchesReceived += 1;
+          row.quantityPurchased += batch.initialQuantity;
+          row.purchasedValue += batch.initialQuantity * unitCost;
+        }
+
+        if (batch.quantity > 0 && batch.expiryDate <= now) {
+          row.expiredOnHandQuantity += batch.quantity;
+          row.expiredOnHandValue += batch.quantity * unitCost;
+        }
+      }
+    }
+
+    const writeOffQuery = { reason: 'expired_disposal', status: 'approved' };
+    if (startDate || endDate) {
+      writeOffQuery.approvedAt = dateRange;
+    }
+    const writeOffs = await StockAdjustment.find(writeOffQuery, 'batches unitValue');
+
+    for (const adjustment of writeOffs) {
+      for (const consumed of adjustment.batches) {
+        const entry = batchIndex.get(consumed.batchId?.toString());
+        const row = entry?.batch.supplierId && rows.get(entry.batch.supplierId.toString());
+        if (!row) continue;
+
+        row.expiryWriteOffQuantity += consumed.quantity;
+        row.expiryWriteOffValue += consumed.quantity * adjustment.unitValue;
+      }
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const report = [...rows.values()]
+      .map(row => ({
+        ...row,
+        purchasedValue: round(row.purchasedValue),
+        expiredOnHandValue: round(row.expiredOnHandValue),
+        expiryWriteOffValue: round(row.expiryWriteOffValue),
+        expiryLossRate: row.purchasedValue > 0
+          ? round(((row.expiredOnHandValue + row.expiryWriteOffValue) / row.purchasedValue) * 100)
+          : 0
+      }))
+      .sort((a, b) => b.purchasedValue - a.purchasedValue);
+
+    res.json({
+      suppliers: report,
+      summary: {
+        totalSuppliers: report.length,
+        totalPurchasedValue: round(report.reduce((sum, row) => sum + row.purchasedValue, 0)),
+        totalExpiryLossValue: round(report.reduce((sum, row) => sum + row.expiredOnHandValue + row.expiryWriteOffValue, 0)),
+        reportGeneratedAt: new Date(),
+        period: {
+          startDate: startDate || null,
+          endDate: endDate || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Generate supplier report error:', error);
+    res.status(500).json({ message: 'Failed to generate supplier report' });
+  }
+});
+
+// Generate reorder suggestions from consumption velocity, supplier lead time and safety stock
+router.get('/reorder-suggestions', authenticateToken, requirePermission('report:read'), [
+  query('days').optional().isInt({ min: 7, max: 365 }).withMessage('Days must be between 7-365'),
+  query('safetyDays').optional().isInt({ min: 0, max: 180 }).withMessage('Safety days must be between 0-180'),
+  query('coverDays').optional().isInt({ min: 1, max: 365 }).withMessage('Cover days must be between 1-365'),
+  query('supplierId').optional().isMongoId().withMessage('Valid supplier ID required'),
+  query('all').optional().isBoolean().withMessage('All must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const options = {
+      lookbackDays: parseInt(req.query.days) || REORDER_DEFAULTS.lookbackDays,
+      safetyStockDays: req.query.safetyDays !== undefined ? parseInt(req.query.safetyDays) : REORDER_DEFAULTS.safetyStockDays,
+      coverDays: parseInt(req.query.coverDays) || REORDER_DEFAULTS.coverDays,
+      supplierId: req.query.supplierId,
+      includeAll: req.query.all === 'true'
+    };
+
+    const suggestions = await buildReorderSuggestions(options);
+    const toReorder = suggestions.filter(suggestion => suggestion.needsReorder);
+
+    res.json({
+      suggestions,
+      summary: {
+        medicinesToReorder: toReorder.length,
+        estimatedValue: Math.round(toReorder.reduce((sum, suggestion) => sum + suggestion.suggestedQuantity * suggestion.unitCost, 0) * 100) / 100,
+        withoutSupplier: toReorder.filter(suggestion => !suggestion.supplierId).length,
+        parameters: {
+          lookbackDays: options.lookbackDays,
+          safetyStockDays: options.safetyStockDays,
+          coverDays: options.coverDays
+        },
+        reportGeneratedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Generate reorder suggestions error:', error);
+    res.status(500).json({ message: 'Failed to generate reorder suggestions' });
+  }
+});
+
+// Generate expiry report (per batch, only lots with stock on hand)
+router.get('/expiry', authenticateToken, requirePermission('report:read'), async (req, res) => {
   try {
     const now = new Date();
     const thirtyDaysFromNow = new Date();
@@ -141,23 +512,39 @@ router.get('/expiry', authenticateToken, async (req, res) => {
     const sixtyDaysFromNow = new Date();
     sixtyDaysFromNow.setDate(sixtyDaysFromNow.getDate() + 60);
 
-    // Expired medicines
-    const expired = await Medicine.find({
-      isActive: true,
-      expiryDate: { $lt: now }
-    }).sort({ expiryDate: 1 });
+    const batches = await Medicine.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$batches' },
+      {
+        $match: {
+          'batches.quantity': { $gt: 0 },
+          'batches.expiryDate': { $lte: sixtyDaysFromNow }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          medicineId: '$_id',
+          name: 1,
+          category: 1,
+          price: 1,
+          batchId: '$batches._id',
+          batchNumber: '$batches.batchNumber',
+          supplierId: '$batches.supplierId',
+          quantity: '$batches.quantity',
+          expiryDate: '$batches.expiryDate',
+          value: { $multiply: ['$batches.quantity', '$price'] }
+        }
+      },
+      { $sort: { expiryDate: 1 } }
+    ]);
 
-    // Expiring within 30 days
-    const expiringSoon = await Medicine.find({
-      isActive: true,
-      expiryDate: { $gte: now, $lte: thirtyDaysFromNow }
-    }).sort({ expiryDate: 1 });
+    // Expired, expiring within 30 days, expiring within 60 days
+    const expired = batches.filter(batch => batch.expiryDate < now);
+    const expiringSoon = batches.filter(batch => batch.expiryDate >= now && batch.expiryDate <= thirtyDaysFromNow);
+    const expiringLater = batches.filter(batch => batch.expiryDate > thirtyDaysFromNow);
 
-    // Expiring within 60 days
-    const expiringLater = await Medicine.find({
-      isActive: true,
-      expiryDate: { $gt: thirtyDaysFromNow, $lte: sixtyDaysFromNow }
-    }).sort({ expiryDate: 1 });
+    const sumValue = (list) => Math.round(list.reduce((sum, batch) => sum + batch.value, 0) * 100) / 100;
 
     res.json({
       expired,
@@ -167,6 +554,8 @@ router.get('/expiry', authenticateToken, async (req, res) => {
         expiredCount: expired.length,
         expiringSoonCount: expiringSoon.length,
         expiringLaterCount: expiringLater.length,
+        expiredValue: sumValue(expired),
+        expiringSoonValue: sumValue(expiringSoon),
         reportGeneratedAt: new Date()
       }
     });
@@ -0,0 +1,160 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Role, { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole } from '../models/Role.js';
+import User from '../models/User.js';
+import Invitation from '../models/Invitation.js';
+import { authenticateToken, requirePermission, getPermissions } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { runInTransaction } from '../middleware/stockService.js';
+
+const router = express.Router();
+
+const roleValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 50 }).withMessage('Name required (max 50 chars)'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description max 200 chars'),
+  (required ? body('permissions') : body('permissions').optional()).isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission')
+];
+
+// A role can't grant permissions its creator doesn't hold
+const exceedsOwnPermissions = async (req, permissions = []) => {
+  const granted = await getPermissions(req);
+  return permissions.filter(permission => !granted.includes(permission));
+};
+
+// Available permissions
+router.get('/permissions', authenticateToken, requirePermission('role:manage'), (req, res) => {
+  res.json({ permissions: PERMISSIONS });
+});
+
+// Built-in and custom roles with how many users hold each
+router.get('/', authenticateToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const usersByRole = new Map(counts.map(row => [row._id, row.count]));
+
+    res.json({
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true, userCount: usersByRole.get(name) || 0 })),
+        ...customRoles.map(role => ({ ...role.toObject(), builtIn: false, userCount: usersByRole.get(role.name) || 0 }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ message: 'Failed to fetch roles' });
+  }
+});
+
+// Add custom role
+router.post('/', authenticateToken, requirePermission('role:manage'), roleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+    if (isBuiltInRole(name)) {
+      return res.status(400).json({ message: `${name} is a built-in role` });
+    }
+
+    const notHeld = await exceedsOwnPermissions(req, permissions);
+    if (notHeld.length) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not have', permissions: notHeld });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    await role.save();
+
+    await logActivity('Add', 'Role', role._id, req.user._id, `Added role: ${role.name}`, null, role.toObject(), req);
+
+    res.status(201).json(role);
+  } catch (error) {
+    console.error('Add role error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Role with this name already exists' : 'Failed to add role' });
+  }
+});
+
+// Update custom role; a rename moves its users and pending invitations along with it
+router.put('/:id', authenticateToken, requirePermission('role:manage'), roleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    if (req.body.name && isBuiltInRole(req.body.name)) {
+      return res.status(400).json({ message: `${req.body.name} is a built-in role` });
+    }
+
+    // Both the current and the new permissions must be within the editor's own
+    const notHeld = await exceedsOwnPermissions(req, [...role.permissions, ...(req.body.permissions || [])]);
+    if (notHeld.length) {
+      return res.status(403).json({ message: 'Cannot grant permissions you do not have', permissions: notHeld });
+    }
+
+    const oldData = role.toObject();
+    if (req.body.name !== undefined) role.name = req.body.name;
+    if (req.body.description !== undefined) role.description = req.body.description;
+    if (req.body.permissions !== undefined) role.permissions = [...new Set(req.body.permissions)];
+    role.updatedBy = req.user._id;
+
+    await runInTransaction(async (session) => {
+      await role.save({ session });
+
+      if (role.name !== oldData.name) {
+        await User.updateMany({ role: oldData.name }, { role: role.name }, { session });
+        await Invitation.updateMany({ role: oldData.name, acceptedAt: null, revokedAt: null }, { role: role.name }, { session });
+      }
+    });
+
+    await logActivity('Update', 'Role', role._id, req.user._id, `Updated role: ${role.name}`, oldData, role.toObject(), req);
+
+    res.json(role);
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Role with this name already exists' : 'Failed to update role' });
+  }
+});
+
+// Delete custom role; users have to be moved to another role, and pending invitations revoked, first
+router.delete('/:id', authenticateToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ message: `Role is assigned to ${userCount} user(s)` });
+    }
+
+    const invitationCount = await Invitation.countDocuments({ role: role.name, acceptedAt: null, revokedAt: null });
+    if (invitationCount > 0) {
+      return res.status(400).json({ message: `Role has ${invitationCount} pending invitation(s)` });
+    }
+
+    await role.deleteOne();
+
+    await logActivity('Delete', 'Role', role._id, req.user._id, `Deleted role: ${role.name}`, role.toObject(), null, req);
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ message: 'Failed to delete role' });
+  }
+});
+
+export default router;
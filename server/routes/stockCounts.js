@@ -0,0 +1,295 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import StockCount from '../models/StockCount.js';
+import StockAdjustment from '../models/StockAdjustment.js';
+import Medicine from '../models/Medicine.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { createMedicineAlert, checkAndCreateStockAlerts } from '../middleware/alertService.js';
+import { StockError, runInTransaction, applyAdjustment } from '../middleware/stockService.js';
+
+const router = express.Router();
+
+// Get all stock counts
+router.get('/', authenticateToken, requirePermission('stock:count'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('status').optional().isIn(['open', 'approved', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const counts = await StockCount.find(query, '-lines')
+      .populate('openedBy', 'name')
+      .populate('approvedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await StockCount.countDocuments(query);
+
+    res.json({
+      counts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock counts error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock counts' });
+  }
+});
+
+// Open a count session, snapshotting the expected quantity of every active medicine
+router.post('/', authenticateToken, requirePermission('stock:count'), [
+  body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name required (max 200 chars)'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const openCount = await StockCount.findOne({ status: 'open' });
+    if (openCount) {
+      return res.status(400).json({ message: `Stock count "${openCount.name}" is still open` });
+    }
+
+    const medicines = await Medicine.find({ isActive: true }, 'name category shelf quantity price').sort({ name: 1 });
+
+    const count = new StockCount({
+      name: req.body.name,
+      notes: req.body.notes,
+      openedBy: req.user._id,
+      lines: medicines.map(medicine => ({
+        medicineId: medicine._id,
+        name: medicine.name,
+        category: medicine.category,
+        shelf: medicine.shelf,
+        snapshotQuantity: medicine.quantity,
+        unitValue: medicine.price
+      }))
+    });
+
+    await count.save();
+
+    await logActivity('Add', 'StockCount', count._id, req.user._id, `Opened stock count: ${count.name} (${count.lines.length} items)`, null, { name: count.name }, req);
+
+    res.status(201).json(count);
+  } catch (error) {
+    console.error('Open stock count error:', error);
+    res.status(500).json({ message: 'Failed to open stock count' });
+  }
+});
+
+// Get a count session with per-line variance. Filter the sheet by category or shelf.
+router.get('/:id', authenticateToken, requirePermission('stock:count'), [
+  query('category').optional().isString().withMessage('Category must be a string'),
+  query('shelf').optional().isString().withMessage('Shelf must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await StockCount.findById(req.params.id)
+      .populate('openedBy', 'name')
+      .populate('approvedBy', 'name');
+
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const { category, shelf } = req.query;
+    const lines = count.varianceLines().filter(line =>
+      (!category || line.category === category) && (!shelf || line.shelf === shelf)
+    );
+
+    res.json({
+      _id: count._id,
+      name: count.name,
+      status: count.status,
+      notes: count.notes,
+      openedBy: count.openedBy,
+      approvedBy: count.approvedBy,
+      approvedAt: count.approvedAt,
+      createdAt: count.createdAt,
+      lines,
+      summary: count.summary()
+    });
+  } catch (error) {
+    console.error('Get stock count error:', error);
+    res.status(500).json({ message: 'Failed to fetch stock count' });
+  }
+});
+
+// Submit counted quantities. Can be called repeatedly, e.g. one category or shelf at a time.
+router.put('/:id/counts', authenticateToken, requirePermission('stock:count'), [
+  body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+  body('counts.*.medicineId').isMongoId().withMessage('Valid medicine ID required'),
+  body('counts.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be 0 or more')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await StockCount.findById(req.params.id);
+    if (!count) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    if (count.status !== 'open') {
+      return res.status(400).json({ message: 'Stock count is not open' });
+    }
+
+    // Compare against the quantity on hand now, so stock issued since the snapshot isn't counted as a loss
+    const medicineIds = req.body.counts.map(entry => entry.medicineId);
+    const medicines = await Medicine.find({ _id: { $in: medicineIds } }, 'quantity');
+    const quantities = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.quantity]));
+
+    for (const entry of req.body.counts) {
+      const line = count.lines.find(l => l.medicineId.toString() === entry.medicineId);
+      if (!line) {
+        return res.status(404).json({ message: `Medicine not in this count: ${entry.medicineId}` });
+      }
+
+      line.countedQuantity = parseInt(entry.countedQuantity);
+      line.systemQuantity = quantities.get(entry.medicineId) ?? line.snapshotQuantity;
+      line.countedBy = req.user._id;
+      line.countedAt = new Date();
+    }
+
+    await count.save();
+
+    await logActivity('Update', 'StockCount', count._id, req.user._id, `Submitted ${req.body.counts.length} counts for stock count: ${count.name}`, null, { counts: req.body.counts }, req);
+
+    res.json({
+      lines: count.varianceLines().filter(line => medicineIds.includes(line.medicineId.toString())),
+      summary: count.summary()
+    });
+  } catch (error) {
+    console.error('Submit stock counts error:', error);
+    res.status(500).json({ message: 'Failed to submit counts' });
+  }
+});
+
+// Approve a count, posting a count-correction adjustment for every variance line
+router.post('/:id/approve', authenticateToken, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    const existing = await StockCount.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    let count;
+    const posted = await runInTransaction(async (session) => {
+      // Claim the count first so a concurrent approval can't post the variances twice
+      count = await StockCount.findOneAndUpdate(
+        { _id: existing._id, status: 'open' },
+        { $set: { status: 'approved', approvedBy: req.user._id, approvedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!count) throw new StockError('Stock count is not open', 409);
+
+      const posted = [];
+
+      for (const line of count.lines) {
+        if (line.countedQuantity === undefined || line.countedQuantity === null) continue;
+
+        const variance = line.countedQuantity - line.systemQuantity;
+        if (variance === 0) continue;
+
+        const adjustment = new StockAdjustment({
+          medicineId: line.medicineId,
+          reason: 'count_correction',
+          quantity: variance,
+          unitValue: line.unitValue,
+          notes: `Stock count: ${count.name}`,
+          status: 'approved',
+          stockCountId: count._id,
+          requestedBy: line.countedBy,
+          approvedBy: req.user._id,
+          approvedAt: new Date()
+        });
+
+        const medicine = await applyAdjustment(adjustment, req.user._id, session);
+        await adjustment.save({ session });
+
+        line.adjustmentId = adjustment._id;
+        posted.push({ medicine, adjustment });
+      }
+
+      await count.save({ session });
+
+      return posted;
+    });
+
+    for (const { medicine, adjustment } of posted) {
+      await logActivity('Adjust', 'Medicine', medicine._id, req.user._id, `Count correction of ${adjustment.quantity} units for ${medicine.name} (${count.name})`, null, { quantity: medicine.quantity, adjustment: adjustment.toObject() }, req);
+      await createMedicineAlert('adjusted', medicine.name, medicine._id, req.user._id, {
+        quantity: adjustment.quantity,
+        reason: adjustment.reason,
+        status: adjustment.status
+      });
+      await checkAndCreateStockAlerts(medicine, req.user._id);
+    }
+
+    await logActivity('Update', 'StockCount', count._id, req.user._id, `Approved stock count: ${count.name} (${posted.length} adjustments)`, { status: 'open' }, { status: 'approved', summary: count.summary() }, req);
+
+    res.json({ count, summary: count.summary() });
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Approve stock count error:', error);
+    res.status(500).json({ message: 'Failed to approve stock count' });
+  }
+});
+
+// Cancel an open count
+router.post('/:id/cancel', authenticateToken, requirePermission('stock:approve'), async (req, res) => {
+  try {
+    const existing = await StockCount.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Stock count not found' });
+    }
+
+    const count = await StockCount.findOneAndUpdate(
+      { _id: existing._id, status: 'open' },
+      { $set: { status: 'cancelled', cancelledBy: req.user._id } },
+      { new: true }
+    );
+    if (!count) {
+      return res.status(409).json({ message: 'Stock count is not open' });
+    }
+
+    await logActivity('Update', 'StockCount', count._id, req.user._id, `Cancelled stock count: ${count.name}`, { status: 'open' }, { status: 'cancelled' }, req);
+
+    res.json({ message: 'Stock count cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel stock count error:', error);
+    res.status(500).json({ message: 'Failed to cancel stock count' });
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authenticateToken, tokenFromQuery, getPermissions, permissionsForRole } from '../middleware/auth.js';
+import { touchSession } from '../middleware/tokenService.js';
+import { addStreamClient } from '../middleware/streamService.js';
+import { isSubscribed } from '../middleware/alertService.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Permission needed to see each event type
+const EVENT_PERMISSIONS = {
+  alert: 'alert:read',
+  stock: 'medicine:read',
+  issuance: 'issuance:read'
+};
+
+// Server-Sent Events: new alerts, stock level changes and issuances as they happen.
+// Reconnecting clients resume from the Last-Event-ID header (or ?lastEventId=).
+router.get('/', tokenFromQuery, authenticateToken, async (req, res) => {
+  try {
+    let user = req.user;
+    let permissions = await getPermissions(req);
+    const tokenVersion = user.tokenVersion || 0;
+
+    // The stream outlives the request that authenticated it, so each heartbeat checks the login again
+    // and picks up role or subscription changes. False once the user, token or session is revoked.
+    const recheck = async () => {
+      const current = await User.findById(user._id);
+      if (!current || !current.isActive || (current.tokenVersion || 0) !== tokenVersion) return false;
+      if (req.sessionId && !(await touchSession(req.sessionId, req))) return false;
+
+      user = current;
+      permissions = await permissionsForRole(current.role);
+      return true;
+    };
+
+    // Permission restrictions first, then the user's alert subscriptions
+    const canReceive = (event) => {
+      if (EVENT_PERMISSIONS[event.type] && !permissions.includes(EVENT_PERMISSIONS[event.type])) return false;
+      if (event.type === 'alert') return isSubscribed(user, event.data, permissions);
+      return true;
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let removeClient = null;
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      if (removeClient) removeClient();
+    };
+
+    const heartbeat = setInterval(() => {
+      recheck()
+        .then((allowed) => {
+          if (closed) return;
+          if (allowed) return res.write(': ping\n\n');
+          close();
+          res.end();
+        })
+        .catch(error => console.error('Event stream recheck error:', error));
+    }, HEARTBEAT_MS);
+
+    req.on('close', close);
+
+    removeClient = await addStreamClient(res, canReceive, req.headers['last-event-id'] || req.query.lastEventId);
+    if (closed) removeClient();
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ message: 'Failed to open event stream' });
+    }
+    res.end();
+  }
+});
+
+export default router;
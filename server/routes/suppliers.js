@@ -0,0 +1,191 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Supplier, { normalizeSupplierName } from '../models/Supplier.js';
+import Medicine from '../models/Medicine.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+
+const router = express.Router();
+
+const supplierValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 200 }).withMessage('Name required (max 200 chars)'),
+  body('contactPerson').optional().trim().isLength({ max: 100 }).withMessage('Contact person max 100 chars'),
+  body('email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('phone').optional().trim().isLength({ max: 50 }).withMessage('Phone max 50 chars'),
+  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address max 500 chars'),
+  body('leadTimeDays').optional().isInt({ min: 0 }).withMessage('Lead time must be 0 or more days'),
+  body('paymentTerms').optional().trim().isLength({ max: 200 }).withMessage('Payment terms max 200 chars'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes max 500 chars'),
+  body('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
+];
+
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'email', 'phone', 'address', 'leadTimeDays', 'paymentTerms', 'notes', 'isActive'];
+
+const pickSupplierFields = (source) => SUPPLIER_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Get all suppliers
+router.get('/', authenticateToken, requirePermission('supplier:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('search').optional().isString().withMessage('Search must be a string'),
+  query('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, search, isActive } = req.query;
+
+    // Build query
+    const query = {};
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { contactPerson: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const suppliers = await Supplier.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Supplier.countDocuments(query);
+
+    res.json({
+      suppliers,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Failed to fetch suppliers' });
+  }
+});
+
+// Get single supplier with the medicines it supplies
+router.get('/:id', authenticateToken, requirePermission('supplier:read'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    const medicines = await Medicine.find({
+      isActive: true,
+      $or: [{ supplierId: supplier._id }, { 'batches.supplierId': supplier._id }]
+    }, 'name category quantity');
+
+    res.json({ ...supplier.toObject(), medicines });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ message: 'Failed to fetch supplier' });
+  }
+});
+
+// Add new supplier
+router.post('/', authenticateToken, requirePermission('supplier:manage'), supplierValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Supplier.findOne({ normalizedName: normalizeSupplierName(req.body.name) });
+    if (existing) {
+      return res.status(400).json({ message: `Supplier already exists: ${existing.name}` });
+    }
+
+    const supplier = new Supplier({
+      ...pickSupplierFields(req.body),
+      createdBy: req.user._id
+    });
+    await supplier.save();
+
+    await logActivity('Add', 'Supplier', supplier._id, req.user._id, `Added new supplier: ${supplier.name}`, null, supplier.toObject(), req);
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    console.error('Add supplier error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Supplier with this name already exists' : 'Failed to add supplier' });
+  }
+});
+
+// Update supplier
+router.put('/:id', authenticateToken, requirePermission('supplier:manage'), supplierValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    if (req.body.name) {
+      const existing = await Supplier.findOne({
+        normalizedName: normalizeSupplierName(req.body.name),
+        _id: { $ne: supplier._id }
+      });
+      if (existing) {
+        return res.status(400).json({ message: `Supplier already exists: ${existing.name}` });
+      }
+    }
+
+    const oldData = supplier.toObject();
+    Object.assign(supplier, pickSupplierFields(req.body));
+    supplier.updatedBy = req.user._id;
+    await supplier.save();
+
+    await logActivity('Update', 'Supplier', supplier._id, req.user._id, `Updated supplier: ${supplier.name}`, oldData, supplier.toObject(), req);
+
+    res.json(supplier);
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    res.status(error.code === 11000 ? 400 : 500).json({ message: error.code === 11000 ? 'Supplier with this name already exists' : 'Failed to update supplier' });
+  }
+});
+
+// Deactivate supplier; history keeps pointing at it
+router.delete('/:id', authenticateToken, requirePermission('supplier:delete'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    if (!supplier || !supplier.isActive) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    supplier.isActive = false;
+    supplier.updatedBy = req.user._id;
+    await supplier.save();
+
+    await logActivity('Delete', 'Supplier', supplier._id, req.user._id, `Deactivated supplier: ${supplier.name}`, { isActive: true }, { isActive: false }, req);
+
+    res.json({ message: 'Supplier deactivated successfully' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ message: 'Failed to delete supplier' });
+  }
+});
+
+export default router;
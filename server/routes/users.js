@@ -1,17 +1,25 @@
 import express from 'express';
 import { body, query, validationResult } from 'express-validator';
-import User from '../models/User.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import User, { ROLE_ALERT_DEFAULTS } from '../models/User.js';
+import Medicine from '../models/Medicine.js';
+import { ALERT_TYPES, ALERT_SEVERITIES, alertTypesFor } from '../models/Alert.js';
+import { roleExists } from '../models/Role.js';
+import { authenticateToken, requirePermission, canGrantRole, getPermissions } from '../middleware/auth.js';
 import { logActivity } from '../middleware/logging.js';
-import { createUserAlert } from '../middleware/alertService.js';
+import { createUserAlert, resolveConditionAlerts, effectiveSubscription } from '../middleware/alertService.js';
+import { emitWebhookEvent, userPayload } from '../middleware/webhookService.js';
+import Session from '../models/Session.js';
+import { revokeSession, revokeUserSessions, sessionView } from '../middleware/tokenService.js';
+import { RESET_TOKEN_TTL_MINUTES, createPasswordResetToken, resetLink } from '../middleware/passwordService.js';
+import { clearLoginFailures, getLoginLock } from '../middleware/loginThrottle.js';
 
 const router = express.Router();
 
-// Get all users (Admin only)
-router.get('/', authenticateToken, requireAdmin, [
+// Get all users
+router.get('/', authenticateToken, requirePermission('user:manage'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
-  query('role').optional().isIn(['Admin', 'Pharmacist']).withMessage('Invalid role'),
+  query('role').optional().isString().withMessage('Role must be a string'),
   query('isActive').optional().isBoolean().withMessage('IsActive must be a boolean'),
   query('search').optional().isString().withMessage('Search must be a string')
 ], async (req, res) => {
@@ -77,8 +85,80 @@ router.get('/', authenticateToken, requireAdmin, [
   }
 });
 
+// Get current user's alert subscriptions
+router.get('/me/preferences', authenticateToken, async (req, res) => {
+  try {
+    const categories = await Medicine.distinct('category', { isActive: true });
+    const permissions = await getPermissions(req);
+
+    res.json({
+      alertPreferences: req.user.alertPreferences || {},
+      effective: effectiveSubscription(req.user, permissions),
+      roleDefaults: ROLE_ALERT_DEFAULTS[req.user.role] || ROLE_ALERT_DEFAULTS.Pharmacist,
+      available: {
+        types: alertTypesFor(permissions),
+        severities: ALERT_SEVERITIES,
+        categories: categories.sort()
+      }
+    });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({ message: 'Failed to fetch preferences' });
+  }
+});
+
+// Update current user's alert subscriptions; null puts a list back to the role default
+router.put('/me/preferences', authenticateToken, [
+  body('types').optional({ values: 'null' }).isArray().withMessage('Types must be an array'),
+  body('types.*').isIn(ALERT_TYPES).withMessage('Invalid alert type'),
+  body('severities').optional({ values: 'null' }).isArray().withMessage('Severities must be an array'),
+  body('severities.*').isIn(ALERT_SEVERITIES).withMessage('Invalid severity'),
+  body('categories').optional({ values: 'null' }).isArray().withMessage('Categories must be an array'),
+  body('categories.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid category'),
+  body('emailCritical').optional().isBoolean().withMessage('EmailCritical must be a boolean'),
+  body('emailDigest').optional().isBoolean().withMessage('EmailDigest must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Account alerts are limited to users who can manage or audit accounts
+    const permissions = await getPermissions(req);
+    const allowedTypes = alertTypesFor(permissions);
+    const forbidden = (req.body.types || []).filter(type => !allowedTypes.includes(type));
+    if (forbidden.length) {
+      return res.status(400).json({ message: `Not allowed to subscribe to: ${forbidden.join(', ')}` });
+    }
+
+    const user = req.user;
+    const oldData = { alertPreferences: user.toObject().alertPreferences || {} };
+
+    for (const field of ['types', 'severities', 'categories']) {
+      if (req.body[field] === undefined) continue;
+      user.set(`alertPreferences.${field}`, req.body[field] === null ? undefined : [...new Set(req.body[field])]);
+    }
+    for (const field of ['emailCritical', 'emailDigest']) {
+      if (req.body[field] !== undefined) user.set(`alertPreferences.${field}`, req.body[field]);
+    }
+    await user.save();
+
+    await logActivity('Update', 'User', user._id, user._id, `Updated alert preferences: ${user.name}`, oldData, { alertPreferences: user.alertPreferences }, req);
+
+    res.json({
+      message: 'Preferences updated successfully',
+      alertPreferences: user.alertPreferences || {},
+      effective: effectiveSubscription(user, permissions)
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ message: 'Failed to update preferences' });
+  }
+});
+
 // Get single user
-router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -86,7 +166,7 @@ router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user);
+    res.json({ ...user.toJSON(), loginLock: await getLoginLock(user.email) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ message: 'Failed to fetch user' });
@@ -94,10 +174,10 @@ router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Update user
-router.put('/:id', authenticateToken, requireAdmin, [
+router.put('/:id', authenticateToken, requirePermission('user:manage'), [
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2-100 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Valid email required'),
-  body('role').optional().isIn(['Admin', 'Pharmacist']).withMessage('Invalid role'),
+  body('role').optional().isString().trim().notEmpty().withMessage('Invalid role'),
   body('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
 ], async (req, res) => {
   try {
@@ -111,6 +191,14 @@ router.put('/:id', authenticateToken, requireAdmin, [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (req.body.role && !(await roleExists(req.body.role))) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    if (!(await canGrantRole(req, user.role)) || (req.body.role && !(await canGrantRole(req, req.body.role)))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
     // Store old data for logging
     const oldData = user.toObject();
 
@@ -126,14 +214,23 @@ router.put('/:id', authenticateToken, requireAdmin, [
     }
 
     // Update user
-    Object.assign(user, req.body);
+    for (const field of ['name', 'email', 'role', 'isActive']) {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    }
+
+    // A role change or deactivation signs the user out everywhere
+    const mustSignOut = user.isModified('role') || (user.isModified('isActive') && !user.isActive);
+    if (mustSignOut) user.tokenVersion = (user.tokenVersion || 0) + 1;
     await user.save();
 
+    if (mustSignOut) await revokeUserSessions(user._id, 'user_updated');
+
     // Log activity
     await logActivity('Update', 'User', user._id, req.user._id, `Updated user: ${user.name}`, oldData, user.toObject(), req);
 
     // Create alert
     await createUserAlert('updated', user.name, user._id, req.user._id);
+    await emitWebhookEvent('user.updated', userPayload(user));
 
     res.json({
       message: 'User updated successfully',
@@ -145,8 +242,205 @@ router.put('/:id', authenticateToken, requireAdmin, [
   }
 });
 
+// Clear failed logins and any lockout
+router.post('/:id/unlock', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    const lock = await getLoginLock(user.email);
+    await clearLoginFailures(user.email);
+    await resolveConditionAlerts({ dedupeKey: `login_lockout:${user.email}` }, 'Unlocked by admin', req.user._id);
+
+    await logActivity('Update', 'User', user._id, req.user._id, `Unlocked account: ${user.name}`, lock, null, req);
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Failed to unlock account' });
+  }
+});
+
+// Force logout: invalidates every token the user holds
+router.post('/:id/force-logout', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    const revokedSessions = await revokeUserSessions(user._id, 'forced_logout');
+
+    await logActivity('Logout', 'User', user._id, req.user._id, `Forced logout of user: ${user.name}`, null, { revokedSessions }, req);
+
+    res.json({ message: 'User logged out everywhere', revokedSessions });
+  } catch (error) {
+    console.error('Force logout error:', error);
+    res.status(500).json({ message: 'Failed to force logout' });
+  }
+});
+
+// A user's sessions; ?includeRevoked=true adds ones that were signed out
+router.get('/:id/sessions', authenticateToken, requirePermission('user:manage'), [
+  query('includeRevoked').optional().isBoolean().withMessage('IncludeRevoked must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    const query = { userId: user._id };
+    if (req.query.includeRevoked !== 'true') {
+      Object.assign(query, { revokedAt: null, expiresAt: { $gt: new Date() } });
+    }
+
+    const sessions = await Session.find(query).sort({ lastSeenAt: -1 }).limit(100);
+
+    res.json({ sessions: sessions.map(session => sessionView(session, req.sessionId)) });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Failed to fetch sessions' });
+  }
+});
+
+// Kill one of a user's sessions; force-logout ends all of them
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    const session = /^[0-9a-f]{24}$/i.test(req.params.sessionId) && await Session.findOne({ _id: req.params.sessionId, userId: user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'admin_revoked', req.user._id);
+
+    await logActivity('Logout', 'User', user._id, req.user._id, `Signed out ${user.name}'s session on ${session.device}`, null, { sessionId: session._id }, req);
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({ message: 'Failed to sign out session' });
+  }
+});
+
+// Generate a reset token for a user who can't receive email; shown once to the admin
+router.post('/:id/password-reset', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    const token = await createPasswordResetToken(user, { requestedBy: req.user._id, ipAddress: req.ip });
+
+    await logActivity('Update', 'User', user._id, req.user._id, `Password reset issued by admin for: ${user.name}`, null, null, req);
+
+    res.status(201).json({
+      message: 'Reset token created. Give it to the user; it is not shown again.',
+      token,
+      resetLink: resetLink(token),
+      expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+    });
+  } catch (error) {
+    console.error('Admin password reset error:', error);
+    res.status(500).json({ message: 'Failed to create reset token' });
+  }
+});
+
+// Require (or stop requiring) a password change on next login
+router.post('/:id/force-password-change', authenticateToken, requirePermission('user:manage'), [
+  body('required').optional().isBoolean().withMessage('Required must be a boolean').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
+    const required = req.body.required !== false;
+    user.mustChangePassword = required;
+    await user.save();
+
+    await logActivity('Update', 'User', user._id, req.user._id, `${required ? 'Forced' : 'Cleared forced'} password change for: ${user.name}`, null, { mustChangePassword: required }, req);
+
+    res.json({ message: required ? 'User must change password on next login' : 'Password change no longer required', mustChangePassword: required });
+  } catch (error) {
+    console.error('Force password change error:', error);
+    res.status(500).json({ message: 'Failed to update password change requirement' });
+  }
+});
+
+// Reset a user's 2FA, e.g. after a lost phone; they can enrol again on next login
+router.post('/:id/2fa/reset', authenticateToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user' });
+    }
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+
+    await logActivity('Update', 'User', user._id, req.user._id, `Reset two-factor authentication for: ${user.name}`, { twoFactorEnabled: true }, { twoFactorEnabled: false }, req);
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Failed to reset two-factor authentication' });
+  }
+});
+
 // Delete user
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     if (!user) {
@@ -166,6 +460,10 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete your own account' });
     }
 
+    if (!(await canGrantRole(req, user.role))) {
+      return res.status(403).json({ message: 'Cannot manage a user with more permissions than your own' });
+    }
+
     // Store user data for logging
     const userData = user.toObject();
 
@@ -177,6 +475,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 
     // Create alert
     await createUserAlert('deleted', user.name, user._id, req.user._id);
+    await emitWebhookEvent('user.deleted', userPayload(user));
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -186,18 +485,23 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // Get user statistics
-router.get('/stats/overview', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/stats/overview', authenticateToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ isActive: true });
     const adminUsers = await User.countDocuments({ role: 'Admin' });
     const pharmacistUsers = await User.countDocuments({ role: 'Pharmacist' });
+    const byRole = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
 
     res.json({
       totalUsers,
       activeUsers,
       adminUsers,
-      pharmacistUsers
+      pharmacistUsers,
+      byRole: byRole.map(row => ({ role: row._id, count: row.count }))
     });
   } catch (error) {
     console.error('Get user stats error:', error);
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Webhook, { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { generateWebhookSecret, redeliver } from '../middleware/webhookService.js';
+
+const router = express.Router();
+
+const webhookValidators = (required) => [
+  (required ? body('name') : body('name').optional()).trim().isLength({ min: 1, max: 100 }).withMessage('Name required (max 100 chars)'),
+  (required ? body('url') : body('url').optional()).trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('Valid http(s) URL required'),
+  (required ? body('events') : body('events').optional()).isArray({ min: 1 }).withMessage('At least one event is required'),
+  body('events.*').isIn([...WEBHOOK_EVENTS, '*']).withMessage('Invalid event'),
+  body('secret').optional().isString().isLength({ min: 16, max: 200 }).withMessage('Secret must be 16-200 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description max 500 chars'),
+  body('isActive').optional().isBoolean().withMessage('IsActive must be a boolean')
+];
+
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'description', 'isActive'];
+
+const pickWebhookFields = (source) => WEBHOOK_FIELDS.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Available event types
+router.get('/events', authenticateToken, requirePermission('webhook:manage'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// Get all webhooks
+router.get('/', authenticateToken, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(webhooks);
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Failed to fetch webhooks' });
+  }
+});
+
+// Get single webhook
+router.get('/:id', authenticateToken, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id)
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ message: 'Failed to fetch webhook' });
+  }
+});
+
+// Add webhook; the secret is only shown in this response
+router.post('/', authenticateToken, requirePermission('webhook:manage'), webhookValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = new Webhook({
+      ...pickWebhookFields(req.body),
+      secret: req.body.secret || generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+    await webhook.save();
+
+    await logActivity('Add', 'Webhook', webhook._id, req.user._id, `Added webhook: ${webhook.name} (${webhook.url})`, null, pickWebhookFields(webhook), req);
+
+    res.status(201).json({ ...webhook.toObject(), secret: webhook.secret });
+  } catch (error) {
+    console.error('Add webhook error:', error);
+    res.status(500).json({ message: 'Failed to add webhook' });
+  }
+});
+
+// Update webhook; rotateSecret issues a new secret and returns it once
+router.put('/:id', authenticateToken, requirePermission('webhook:manage'), [
+  ...webhookValidators(false),
+  body('rotateSecret').optional().isBoolean().withMessage('RotateSecret must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const oldData = pickWebhookFields(webhook.toObject());
+    Object.assign(webhook, pickWebhookFields(req.body));
+
+    const newSecret = req.body.secret || (req.body.rotateSecret ? generateWebhookSecret() : null);
+    if (newSecret) webhook.secret = newSecret;
+
+    webhook.updatedBy = req.user._id;
+    await webhook.save();
+
+    await logActivity('Update', 'Webhook', webhook._id, req.user._id, `Updated webhook: ${webhook.name}${newSecret ? ' (secret rotated)' : ''}`, oldData, pickWebhookFields(webhook.toObject()), req);
+
+    const response = webhook.toObject();
+    delete response.secret;
+    res.json(newSecret ? { ...response, secret: newSecret } : response);
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Failed to update webhook' });
+  }
+});
+
+// Delete webhook; its delivery log is kept
+router.delete('/:id', authenticateToken, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await logActivity('Delete', 'Webhook', webhook._id, req.user._id, `Deleted webhook: ${webhook.name}`, pickWebhookFields(webhook.toObject()), null, req);
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Failed to delete webhook' });
+  }
+});
+
+// Send a ping event to check the receiver
+router.post('/:id/test', authenticateToken, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const eventId = crypto.randomUUID();
+    const delivery = await redeliver({
+      webhookId: webhook._id,
+      event: 'ping',
+      eventId,
+      payload: { id: eventId, event: 'ping', occurredAt: new Date().toISOString(), data: { webhookId: webhook._id } }
+    }, req.user._id);
+
+    res.status(202).json({ message: 'Test event queued', deliveryId: delivery._id });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ message: 'Failed to queue test event' });
+  }
+});
+
+// Delivery log
+router.get('/:id/deliveries', authenticateToken, requirePermission('webhook:manage'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
+  query('status').optional().isIn(['pending', 'sending', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('event').optional().isString().withMessage('Event must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, event } = req.query;
+
+    const query = { webhookId: req.params.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        total,
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Failed to fetch deliveries' });
+  }
+});
+
+// Send a past delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticateToken, requirePermission('webhook:manage'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: req.params.id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook || !webhook.isActive) {
+      return res.status(400).json({ message: 'Webhook is deleted or disabled' });
+    }
+
+    const copy = await redeliver(delivery, req.user._id);
+
+    res.status(202).json({ message: 'Redelivery queued', deliveryId: copy._id });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ message: 'Failed to redeliver' });
+  }
+});
+
+export default router;
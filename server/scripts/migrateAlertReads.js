@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// One-off: carry the old shared isRead flag over to per-user read state. An alert someone had
+// already read is marked read for every current user, so it doesn't come back as unread after
+// the upgrade. Reads the raw collection because the schema no longer has isRead. Safe to re-run.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const userIds = (await User.find({}, '_id')).map(user => user._id);
+
+  const cursor = Alert.collection.find({ isRead: { $exists: true } });
+
+  let markedRead = 0;
+  let cleared = 0;
+  for await (const raw of cursor) {
+    const update = { $unset: { isRead: '' } };
+
+    if (raw.isRead) {
+      const readAt = raw.updatedAt || raw.createdAt || new Date();
+      const alreadyRead = new Set((raw.readBy || []).map(entry => entry.user.toString()));
+      const entries = userIds
+        .filter(userId => !alreadyRead.has(userId.toString()))
+        .map(userId => ({ _id: new mongoose.Types.ObjectId(), user: userId, readAt }));
+
+      if (entries.length) update.$push = { readBy: { $each: entries } };
+      markedRead += 1;
+    } else {
+      cleared += 1;
+    }
+
+    await Alert.collection.updateOne({ _id: raw._id }, update);
+  }
+
+  // The index on the old flag is no longer used
+  await Alert.collection.dropIndex('isRead_1_isActive_1_createdAt_-1').catch(() => {});
+
+  console.log(`Marked ${markedRead} read alerts as read for ${userIds.length} users; cleared the flag on ${cleared} unread alerts`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Alert read migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Medicine from '../models/Medicine.js';
+
+dotenv.config();
+
+// One-off: give every medicine saved before batch tracking a single lot built from
+// its legacy quantity / expiryDate / batchNumber / supplierId fields.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const medicines = await Medicine.find({ 'batches.0': { $exists: false }, quantity: { $gt: 0 } });
+  for (const medicine of medicines) {
+    medicine.ensureBatches();
+    await medicine.save();
+  }
+
+  console.log(`Migrated ${medicines.length} medicines to batch tracking`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Batch migration failed:', error);
+  process.exit(1);
+});
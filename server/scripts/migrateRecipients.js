@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Recipient, { normalizeRecipientId } from '../models/Recipient.js';
+import Issuance from '../models/Issuance.js';
+
+dotenv.config();
+
+// One-off: link issuances to Recipient documents by their free-text recipientID, creating a recipient
+// for each distinct ID ("EMP-042" and "emp 042" are the same person). Newest issuances are read first,
+// so a new recipient takes the name and type most recently typed for that ID. Safe to re-run.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Recipients saved before IDs in non-Latin scripts were kept intact; "" marks IDs with no letters or digits.
+  // IDs that now normalise alike (e.g. full-width and ASCII forms) are reported and left for a person to merge.
+  const byNormalizedId = new Map();
+  for await (const recipient of Recipient.find({}, 'recipientID name normalizedId')) {
+    const normalizedId = normalizeRecipientId(recipient.recipientID);
+    if (!normalizedId) {
+      console.log(`Recipient ${recipient.name} has an ID without letters or digits (${recipient.recipientID}); give them a new one`);
+      continue;
+    }
+    if (!byNormalizedId.has(normalizedId)) byNormalizedId.set(normalizedId, []);
+    byNormalizedId.get(normalizedId).push(recipient);
+  }
+
+  let renormalized = 0;
+  let collisions = 0;
+  for (const [normalizedId, recipients] of byNormalizedId) {
+    if (recipients.length > 1) {
+      collisions += 1;
+      console.log(`Recipients now share ID ${normalizedId}, left unchanged: ${recipients.map(r => `${r.name} (${r.recipientID})`).join(', ')}`);
+      continue;
+    }
+
+    const [recipient] = recipients;
+    if (recipient.normalizedId === normalizedId) continue;
+    try {
+      await Recipient.updateOne({ _id: recipient._id }, { $set: { normalizedId } });
+      renormalized += 1;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      collisions += 1;
+      console.log(`Recipient ${recipient.name} (${recipient.recipientID}) clashes with another recipient's ID, left unchanged`);
+    }
+  }
+  if (renormalized) console.log(`Re-normalised ${renormalized} recipient IDs`);
+  if (collisions) console.log(`${collisions} recipient IDs clash and need merging by hand`);
+
+  const recipientIds = new Map();
+  const spellings = new Map();
+  let created = 0;
+
+  const resolveRecipient = async (raw) => {
+    const normalizedId = normalizeRecipientId(raw.recipientID || '');
+    if (!normalizedId) return undefined;
+
+    if (!spellings.has(normalizedId)) spellings.set(normalizedId, new Set());
+    spellings.get(normalizedId).add(raw.recipientName?.trim());
+
+    if (recipientIds.has(normalizedId)) return recipientIds.get(normalizedId);
+
+    let recipient = await Recipient.findOne({ normalizedId });
+    if (!recipient) {
+      recipient = await Recipient.create({
+        type: raw.issuedTo,
+        recipientID: raw.recipientID.trim(),
+        name: raw.recipientName?.trim() || raw.recipientID.trim()
+      });
+      created += 1;
+    }
+
+    recipientIds.set(normalizedId, recipient._id);
+    return recipient._id;
+  };
+
+  const cursor = Issuance.collection.find({ recipientId: { $exists: false } }).sort({ issuedAt: -1 });
+
+  let linked = 0;
+  let skipped = 0;
+  for await (const raw of cursor) {
+    const recipientId = await resolveRecipient(raw);
+    if (!recipientId) {
+      skipped += 1;
+      continue;
+    }
+
+    await Issuance.collection.updateOne({ _id: raw._id }, { $set: { recipientId } });
+    linked += 1;
+  }
+
+  console.log(`Linked ${linked} issuances to ${recipientIds.size} recipients (${created} created)`);
+  if (skipped) console.log(`Skipped ${skipped} issuances without a usable recipient ID`);
+
+  for (const [normalizedId, names] of spellings) {
+    if (names.size > 1) console.log(`Recipient ${normalizedId} was recorded under several names: ${[...names].join(', ')}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Recipient migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Supplier, { normalizeSupplierName } from '../models/Supplier.js';
+import Medicine from '../models/Medicine.js';
+
+dotenv.config();
+
+// One-off: turn the free-text Medicine.supplier / batches[].supplier strings into Supplier
+// documents, merging spellings that normalise to the same name ("Medico Ltd", "medico ltd.").
+// Reads the raw collection because the schema no longer has the string fields.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const supplierIds = new Map();
+  const resolveSupplier = async (rawName) => {
+    const name = rawName?.trim();
+    if (!name) return undefined;
+
+    const normalizedName = normalizeSupplierName(name);
+    if (!normalizedName) return undefined;
+    if (supplierIds.has(normalizedName)) return supplierIds.get(normalizedName);
+
+    let supplier = await Supplier.findOne({ normalizedName });
+    if (!supplier) {
+      supplier = await Supplier.create({ name });
+      console.log(`Created supplier: ${name}`);
+    }
+
+    supplierIds.set(normalizedName, supplier._id);
+    return supplier._id;
+  };
+
+  const cursor = Medicine.collection.find({
+    $or: [
+      { supplier: { $exists: true } },
+      { 'batches.supplier': { $exists: true } },
+      // Lots left unlinked by an earlier run
+      { supplierId: { $exists: true }, batches: { $elemMatch: { supplierId: { $exists: false } } } }
+    ]
+  });
+
+  let migrated = 0;
+  const unlinked = [];
+  for await (const raw of cursor) {
+    const update = { $unset: { supplier: '' }, $set: {} };
+
+    const supplierId = await resolveSupplier(raw.supplier) || raw.supplierId;
+    if (supplierId) update.$set.supplierId = supplierId;
+
+    // Lots without a supplier of their own came from the medicine's supplier
+    for (const [index, batch] of (raw.batches || []).entries()) {
+      if (batch.supplierId) continue;
+
+      const batchSupplierId = await resolveSupplier(batch.supplier) || supplierId;
+      if (batchSupplierId) {
+        update.$set[`batches.${index}.supplierId`] = batchSupplierId;
+      } else {
+        unlinked.push(`${raw.name} lot ${batch.batchNumber || index + 1}`);
+      }
+      if (batch.supplier !== undefined) update.$unset[`batches.${index}.supplier`] = '';
+    }
+
+    if (!Object.keys(update.$set).length) delete update.$set;
+    await Medicine.collection.updateOne({ _id: raw._id }, update);
+    migrated += 1;
+  }
+
+  console.log(`Migrated ${migrated} medicines to ${supplierIds.size} suppliers`);
+  if (unlinked.length) {
+    console.log(`${unlinked.length} lots have no supplier to link to:`);
+    unlinked.forEach(lot => console.log(`  ${lot}`));
+  }
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error('Supplier migration failed:', error);
+  process.exit(1);
+});
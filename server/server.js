@@ -1,9 +1,9 @@
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -14,12 +14,28 @@ import dashboardRoutes from './routes/dashboard.js';
 import reportRoutes from './routes/reports.js';
 import alertRoutes from './routes/alerts.js';
 import userRoutes from './routes/users.js';
-
-dotenv.config();
+import stockCountRoutes from './routes/stockCounts.js';
+import supplierRoutes from './routes/suppliers.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import webhookRoutes from './routes/webhooks.js';
+import streamRoutes from './routes/stream.js';
+import roleRoutes from './routes/roles.js';
+import invitationRoutes from './routes/invitations.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import recipientRoutes from './routes/recipients.js';
+import { scheduleDaily } from './middleware/scheduler.js';
+import { runStockAlertScan, sendAlertDigests, STOCK_ALERT_SCAN_JOB, ALERT_DIGEST_JOB } from './middleware/alertService.js';
+import { isMailEnabled, startOutboxWorker } from './middleware/mailer.js';
+import { startWebhookWorker } from './middleware/webhookService.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy or load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number.isNaN(Number(process.env.TRUST_PROXY)) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -53,6 +69,15 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/stock-counts', stockCountRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/recipients', recipientRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -80,6 +105,20 @@ mongoose.connect(process.env.MONGODB_URI)
     app.listen(PORT, () => {
       console.log(`APMS Server running on port ${PORT}`);
     });
+
+    // Daily expiry and low-stock scan; every instance schedules it, the job lock lets one run it
+    if (process.env.ALERT_SCAN_ENABLED !== 'false') {
+      scheduleDaily(STOCK_ALERT_SCAN_JOB, process.env.ALERT_SCAN_TIME || '06:00', () => runStockAlertScan());
+    }
+
+    // Retries for webhook deliveries; new events are sent as soon as they are emitted
+    startWebhookWorker();
+
+    // Email: outbox delivery plus the daily digest, only when SMTP is configured
+    if (isMailEnabled()) {
+      startOutboxWorker();
+      scheduleDaily(ALERT_DIGEST_JOB, process.env.ALERT_DIGEST_TIME || '07:00', () => sendAlertDigests());
+    }
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);